@@ -1,5 +1,5 @@
 /**
- * Archive helpers for CBZ (ZIP) and CBR (RAR).
+ * Archive helpers for CBZ (ZIP), CBR (RAR), CB7 (7-Zip) and CBT (tar).
  *
  * Strategy: lazy extraction to temp directory.
  *  - On first access, list all entries (opens archive once).
@@ -17,6 +17,18 @@ const requireYauzl = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'yauzl
 const requireUnrar = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'node-unrar-js'));
 const requireImageSize = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'image-size'));
 const requireYazl = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'yazl'));
+const requireSeven = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'node-7z'));
+const requireTarStream = () => require(path.join(PLUGIN_ROOT, 'node_modules', 'tar-stream'));
+const requireZipJs = () => require(path.join(PLUGIN_ROOT, 'node_modules', '@zip.js', 'zip.js'));
+
+/** Archive extension → backend key. Everything else is rejected by getSession. */
+const ARCHIVE_FORMATS = { '.cbz': 'cbz', '.cbr': 'cbr', '.cb7': 'cb7', '.cbt': 'cbt' };
+const ARCHIVE_EXT = Object.keys(ARCHIVE_FORMATS);
+
+const comicInfo = require('./comic-info.js');
+const imageAdjust = require('./image-adjust.js');
+const pageTransform = require('./page-transform.js');
+const imageQuality = require('./image-quality.js');
 
 const IMAGE_EXT = ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.avif'];
 const IMAGE_EXT_SET = new Set(IMAGE_EXT.map(e => e.toLowerCase()));
@@ -39,8 +51,88 @@ function naturalSort(a, b) {
     return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
 }
 
-function isCBZ(fp) { return path.extname(fp).toLowerCase() === '.cbz'; }
-function isCBR(fp) { return path.extname(fp).toLowerCase() === '.cbr'; }
+function getFormat(fp) { return ARCHIVE_FORMATS[path.extname(fp).toLowerCase()] || null; }
+function isCBZ(fp) { return getFormat(fp) === 'cbz'; }
+function isCBR(fp) { return getFormat(fp) === 'cbr'; }
+function isSupportedArchive(fp) { return getFormat(fp) !== null; }
+
+/**
+ * Error carrying a `code` that getErrorKind understands:
+ * 'ARCHIVE_UNSUPPORTED', 'ARCHIVE_ENCRYPTED', 'ARCHIVE_BAD_PASSWORD' or 'ENOENT'.
+ */
+function archiveError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    return err;
+}
+
+/** Container format from the file's first bytes, whatever its extension says (null if unknown) */
+function sniffFormat(fp) {
+    let head;
+    try {
+        const fd = fs.openSync(fp, 'r');
+        head = Buffer.alloc(264);
+        fs.readSync(fd, head, 0, head.length, 0);
+        fs.closeSync(fd);
+    } catch (_) {
+        return null;
+    }
+    if (head.toString('latin1', 0, 2) === 'PK') return 'cbz';
+    if (head.toString('latin1', 0, 4) === 'Rar!') return 'cbr';
+    if (head.toString('latin1', 0, 2) === '7z' && head[2] === 0xBC && head[3] === 0xAF) return 'cb7';
+    if (head.toString('latin1', 257, 262) === 'ustar') return 'cbt';
+    return null;
+}
+
+const FORMAT_NAMES = { cbz: 'ZIP', cbr: 'RAR', cb7: '7-Zip', cbt: 'tar' };
+
+/**
+ * What went wrong opening an archive, for the viewer's error screens:
+ * 'missing' | 'unsupported' | 'encrypted' | 'corrupt'.
+ */
+function getErrorKind(err) {
+    if (!err) return 'corrupt';
+    if (err.code === 'ENOENT') return 'missing';
+    if (err.code === 'ARCHIVE_UNSUPPORTED') return 'unsupported';
+    if (err.code === 'ARCHIVE_ENCRYPTED' || err.code === 'ARCHIVE_BAD_PASSWORD' || /password|encrypt/i.test(err.message || '')) return 'encrypted';
+    return 'corrupt';
+}
+
+// ── Passwords ────────────────────────────────────────────────────────────
+
+/** Passwords for encrypted archives in this process: normalized path → password */
+const passwords = new Map();
+
+/**
+ * Use `password` for an archive from now on (null to forget it). Any open session is
+ * dropped so the next call lists and extracts with the new password.
+ */
+function setPassword(filePath, password) {
+    const normPath = path.normalize(filePath);
+    if (password) passwords.set(normPath, password);
+    else passwords.delete(normPath);
+    const session = sessions.get(normPath);
+    if (session) session.destroy();
+}
+
+function getPassword(filePath) {
+    return passwords.get(path.normalize(filePath)) || null;
+}
+
+/** Map a backend's password failure onto ARCHIVE_ENCRYPTED / ARCHIVE_BAD_PASSWORD; other errors pass through */
+function toPasswordError(err, password) {
+    const reason = err && err.reason;
+    // node-7z's message can be "unknown error"; 7za's own text is in stderr (see collectSevenStderr)
+    const text = (err && err.message || '') + ' ' + (err && err.stderr || '');
+    if (reason === 'ERAR_MISSING_PASSWORD' || (!password && /password|encrypt/i.test(text))) {
+        return archiveError('ARCHIVE_ENCRYPTED', 'Archive is password-protected');
+    }
+    // RAR4 has no password check value, so a wrong password shows up as a CRC error
+    if (password && (reason === 'ERAR_BAD_PASSWORD' || reason === 'ERAR_BAD_DATA' || /password/i.test(text))) {
+        return archiveError('ARCHIVE_BAD_PASSWORD', 'Wrong password');
+    }
+    return err;
+}
 
 function safeName(entryName) {
     // Flatten any directory structure into a single filename to avoid path issues
@@ -56,19 +148,37 @@ function safeName(entryName) {
 const sessions = new Map();
 
 class ArchiveSession {
-    constructor(archivePath, tmpDir, imageEntries) {
+    constructor(archivePath, tmpDir, imageEntries, otherEntries) {
         this.archivePath = archivePath;
         this.tmpDir = tmpDir;
         /** Sorted list of entry names (inside-archive paths) */
         this.imageEntries = imageEntries;
+        /** Non-image file entries (ComicInfo.xml, text files, junk) */
+        this.otherEntries = otherEntries || [];
+        /** Parsed ComicInfo.xml: undefined = not read yet, null = archive has none */
+        this.metadata = undefined;
         /** Map<index, absoluteFilePath> – tracks which pages are extracted */
         this.extracted = new Map();
+        /** Map<index, message> – pages that could not be extracted, see extractPages */
+        this.failed = new Map();
         /** Map<index, {width, height}> – dimension cache */
         this.dimensions = new Map();
+        /** Map<"index_tTolerance", {left, top, width, height}|null> – auto-crop boxes, see detectCropBox */
+        this.cropBoxes = new Map();
         /** Serializes extraction calls so concurrent requests wait properly */
         this._extractionChain = Promise.resolve();
         /** Last center index we purged for – only purge again when center moved by PURGE_STEP */
         this._lastPurgeCenter = null;
+        /** Map<"index_wWidth", previewPath> – small renders, see getThumbnails */
+        this.thumbnails = new Map();
+        /** Serializes preview extraction separately from the reading window */
+        this._thumbChain = Promise.resolve();
+        /** Entries are encrypted (the password from setPassword was checked when the session opened) */
+        this.encrypted = false;
+        /** Map<pageEntry, {archive, entry, source}> – pages that live inside a nested archive, see expandNestedArchives */
+        this.nested = new Map();
+        /** Cached result of buildChapters */
+        this.chapters = null;
     }
 
     get pageCount() { return this.imageEntries.length; }
@@ -101,23 +211,31 @@ class ArchiveSession {
 
 // ── CBZ: list entries ────────────────────────────────────────────────────
 
-function listEntriesCBZ(src) {
+/**
+ * @param {string} src
+ * @param {string|null} password - without one, encrypted entries reject with ARCHIVE_ENCRYPTED
+ */
+function listEntriesCBZ(src, password) {
     return new Promise((resolve, reject) => {
         const yauzl = requireYauzl();
-        const entries = []; // {fileName, offset (for fast seek)}
+        const images = [];
+        const others = [];
         yauzl.open(src, { lazyEntries: true }, (err, zipfile) => {
             if (err) return reject(err);
             zipfile.readEntry();
+            let encrypted = false;
             zipfile.on('entry', entry => {
-                if (!/\/$/.test(entry.fileName) && isImageFileName(entry.fileName)) {
-                    entries.push(entry.fileName);
+                if (!/\/$/.test(entry.fileName)) {
+                    (isImageFileName(entry.fileName) ? images : others).push(entry.fileName);
+                    if (entry.isEncrypted()) encrypted = true;
                 }
                 zipfile.readEntry();
             });
             zipfile.on('end', () => {
                 zipfile.close();
-                entries.sort(naturalSort);
-                resolve(entries);
+                if (encrypted && !password) return reject(archiveError('ARCHIVE_ENCRYPTED', 'Archive is password-protected'));
+                images.sort(naturalSort);
+                resolve({ images, others, encrypted });
             });
             zipfile.on('error', reject);
         });
@@ -143,6 +261,11 @@ function extractBatchCBZ(src, tmpDir, targetNames) {
                         if (errS) return reject(errS);
                         const outPath = path.join(tmpDir, safeName(entry.fileName));
                         const ws = fs.createWriteStream(outPath);
+                        stream.on('error', errData => {
+                            ws.destroy();
+                            zipfile.close();
+                            reject(errData);
+                        });
                         stream.pipe(ws);
                         ws.on('finish', () => {
                             results.set(entry.fileName, outPath);
@@ -170,43 +293,114 @@ function extractBatchCBZ(src, tmpDir, targetNames) {
     });
 }
 
+// ── CBZ: encrypted entries (ZipCrypto / AES) via zip.js ─────────────────
+
+/** zip.js reader over a file descriptor, so big archives aren't loaded whole */
+function createZipJsFileReader(zipjs, src) {
+    class FileReader extends zipjs.Reader {
+        async init() {
+            this.fd = fs.openSync(src, 'r');
+            this.size = fs.fstatSync(this.fd).size;
+        }
+
+        async readUint8Array(offset, length) {
+            const buf = Buffer.alloc(length);
+            fs.readSync(this.fd, buf, 0, length, offset);
+            return new Uint8Array(buf.buffer, buf.byteOffset, length);
+        }
+
+        close() {
+            if (this.fd !== undefined) fs.closeSync(this.fd);
+            this.fd = undefined;
+        }
+    }
+    return new FileReader();
+}
+
+/** Same contract as extractBatchCBZ, decrypting with `password` (unencrypted entries read as usual) */
+async function extractBatchEncryptedCBZ(src, tmpDir, targetNames, password) {
+    const zipjs = requireZipJs();
+    zipjs.configure({ useWebWorkers: false });
+    const targetSet = new Set(targetNames);
+    const results = new Map();
+    if (targetSet.size === 0) return results;
+
+    const reader = createZipJsFileReader(zipjs, src);
+    const zipReader = new zipjs.ZipReader(reader);
+    try {
+        for (const entry of await zipReader.getEntries()) {
+            if (!targetSet.has(entry.filename) || entry.directory) continue;
+            const data = await entry.getData(new zipjs.Uint8ArrayWriter(), { password, checkSignature: true });
+            const outPath = path.join(tmpDir, safeName(entry.filename));
+            fs.writeFileSync(outPath, data);
+            results.set(entry.filename, outPath);
+            if (results.size === targetSet.size) break;
+        }
+    } finally {
+        await zipReader.close();
+        reader.close();
+    }
+    return results;
+}
+
 // ── CBR: list entries ────────────────────────────────────────────────────
 
-async function listEntriesCBR(src) {
+async function listEntriesCBR(src, password) {
     const unrar = requireUnrar();
-    const ext = await unrar.createExtractorFromFile({ filepath: src });
-    const list = ext.getFileList();
-    const headers = [...list.fileHeaders];
-    const names = headers
-        .filter(h => !h.flags.directory && isImageFileName(h.name))
-        .map(h => h.name);
-    names.sort(naturalSort);
-    return names;
+    let headers;
+    try {
+        // Archives with encrypted headers can't even be listed without the password
+        const ext = await unrar.createExtractorFromFile({ filepath: src, password: password || undefined });
+        headers = [...ext.getFileList().fileHeaders];
+    } catch (err) {
+        throw toPasswordError(err, password);
+    }
+    const images = [];
+    const others = [];
+    let encrypted = false;
+    for (const h of headers) {
+        if (h.flags.directory) continue;
+        if (h.flags.encrypted) encrypted = true;
+        (isImageFileName(h.name) ? images : others).push(h.name);
+    }
+    if (encrypted && !password) throw archiveError('ARCHIVE_ENCRYPTED', 'Archive is password-protected');
+    images.sort(naturalSort);
+    return { images, others, encrypted };
 }
 
 // ── CBR: extract a batch to temp dir ─────────────────────────────────────
 
-async function extractBatchCBR(src, tmpDir, targetNames) {
+async function extractBatchCBR(src, tmpDir, targetNames, password) {
     const unrar = requireUnrar();
     const ext = await unrar.createExtractorFromFile({
         filepath: src,
         targetPath: tmpDir,
+        password: password || undefined,
     });
     const extracted = ext.extract({ files: targetNames });
     const files = [...extracted.files]; // force iteration
 
+    return collectExtracted(tmpDir, targetNames);
+}
+
+/**
+ * Map extracted entry names to flat files in tmpDir.
+ * Backends that preserve directory structure (unrar, 7z, tar) leave files at their inner path;
+ * move each one to its safeName so all formats end up with the same flat layout as CBZ.
+ */
+function collectExtracted(tmpDir, targetNames) {
     const results = new Map();
     for (const name of targetNames) {
-        const normalized = name.replace(/\\/g, path.sep);
+        const normalized = name.replace(/[\\/]/g, path.sep);
         const fullPath = path.join(tmpDir, normalized);
-        const altPath = path.join(tmpDir, path.basename(name));
+        const altPath = path.join(tmpDir, path.basename(normalized));
         const safePath = path.join(tmpDir, safeName(name));
 
         // node-unrar-js preserves directory structure; find the file
         let readPath = null;
-        if (fs.existsSync(fullPath)) readPath = fullPath;
+        if (fs.existsSync(safePath)) readPath = safePath;
+        else if (fs.existsSync(fullPath)) readPath = fullPath;
         else if (fs.existsSync(altPath)) readPath = altPath;
-        else if (fs.existsSync(safePath)) readPath = safePath;
 
         if (readPath) {
             // Move to flat safe name if needed
@@ -222,6 +416,299 @@ async function extractBatchCBR(src, tmpDir, targetNames) {
     return results;
 }
 
+// ── CB7: 7-Zip via the bundled 7za binary ────────────────────────────────
+
+let sevenBinPath = null;
+function getSevenBin() {
+    if (sevenBinPath) return sevenBinPath;
+    const bin = require(path.join(PLUGIN_ROOT, 'node_modules', '7zip-bin')).path7za;
+    // npm does not always preserve the executable bit of the bundled binary
+    if (process.platform !== 'win32') {
+        try { fs.chmodSync(bin, 0o755); } catch (_) { }
+    }
+    sevenBinPath = bin;
+    return bin;
+}
+
+/**
+ * 7z options shared by list and extract. "-p" is always passed, empty when no password is known:
+ * without it 7za asks for one on stdin and never returns.
+ */
+function sevenOptions(password, extra) {
+    return { $bin: getSevenBin(), $raw: ['-p' + (password || '')], ...extra };
+}
+
+/**
+ * node-7z builds its error from the first stderr chunk only, which can be a bare newline; keep
+ * all of it so toPasswordError sees 7za's "Wrong password?".
+ * @returns {function(Error): Error} adds the full stderr to an error from `stream`
+ */
+function collectSevenStderr(stream) {
+    let stderr = '';
+    if (stream._childProcess) stream._childProcess.stderr.on('data', chunk => { stderr += chunk; });
+    return err => {
+        if (err && stderr) err.stderr = stderr;
+        return err;
+    };
+}
+
+function listEntriesCB7(src, password) {
+    return new Promise((resolve, reject) => {
+        const Seven = requireSeven();
+        const images = [];
+        const others = [];
+        let encrypted = false;
+        // techInfo (-slt) is the only listing that reports per-entry encryption
+        const stream = Seven.list(src, sevenOptions(password, { techInfo: true }));
+        const withStderr = collectSevenStderr(stream);
+        stream.on('data', entry => {
+            const info = entry.techInfo;
+            const isDir = info && (info.get('Folder') === '+' || (info.get('Attributes') || '').startsWith('D'));
+            if (isDir || !entry.file) return;
+            (isImageFileName(entry.file) ? images : others).push(entry.file);
+            if (info && info.get('Encrypted') === '+') encrypted = true;
+        });
+        stream.on('end', () => {
+            if (encrypted && !password) return reject(archiveError('ARCHIVE_ENCRYPTED', 'Archive is password-protected'));
+            images.sort(naturalSort);
+            resolve({ images, others, encrypted });
+        });
+        stream.on('error', err => reject(toPasswordError(withStderr(err), password)));
+    });
+}
+
+function extractBatchCB7(src, tmpDir, targetNames, password) {
+    return new Promise((resolve, reject) => {
+        if (targetNames.length === 0) return resolve(new Map());
+        const Seven = requireSeven();
+        const stream = Seven.extractFull(src, tmpDir, sevenOptions(password, {
+            $cherryPick: targetNames,
+            noWildcards: true, // entry names like "[Group] 01.jpg" must not be read as patterns
+            yes: true,
+        }));
+        const withStderr = collectSevenStderr(stream);
+        stream.on('end', () => resolve(collectExtracted(tmpDir, targetNames)));
+        stream.on('error', err => reject(toPasswordError(withStderr(err), password)));
+    });
+}
+
+// ── CBT: tar, streamed with tar-stream ───────────────────────────────────
+
+/**
+ * Walk every entry of a tar archive. `onEntry(header, stream)` must return a promise
+ * that resolves once the entry stream has been consumed.
+ */
+function walkTar(src, onEntry) {
+    return new Promise((resolve, reject) => {
+        const tar = requireTarStream();
+        const extract = tar.extract();
+        extract.on('entry', (header, stream, next) => {
+            Promise.resolve(onEntry(header, stream)).then(() => next(), err => {
+                extract.destroy(err);
+            });
+        });
+        extract.on('finish', resolve);
+        extract.on('error', reject);
+        const rs = fs.createReadStream(src);
+        rs.on('error', reject);
+        rs.pipe(extract);
+    });
+}
+
+function drain(stream) {
+    return new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+        stream.resume();
+    });
+}
+
+async function listEntriesCBT(src) {
+    const images = [];
+    const others = [];
+    await walkTar(src, (header, stream) => {
+        if (header.type === 'file') (isImageFileName(header.name) ? images : others).push(header.name);
+        return drain(stream);
+    });
+    images.sort(naturalSort);
+    return { images, others };
+}
+
+async function extractBatchCBT(src, tmpDir, targetNames) {
+    const targetSet = new Set(targetNames);
+    const results = new Map();
+    if (targetSet.size === 0) return results;
+
+    await walkTar(src, (header, stream) => {
+        if (header.type !== 'file' || !targetSet.has(header.name)) return drain(stream);
+        return new Promise((resolve, reject) => {
+            const outPath = path.join(tmpDir, safeName(header.name));
+            const ws = fs.createWriteStream(outPath);
+            stream.pipe(ws);
+            ws.on('finish', () => {
+                results.set(header.name, outPath);
+                resolve();
+            });
+            ws.on('error', reject);
+            stream.on('error', reject);
+        });
+    });
+    return results;
+}
+
+// ── Format dispatch ──────────────────────────────────────────────────────
+
+/**
+ * List an archive as `{ images, others, encrypted }`: sorted page entries and every other non-directory entry.
+ * Uses the password set with setPassword; an encrypted archive without one rejects with ARCHIVE_ENCRYPTED.
+ */
+function listEntries(src) {
+    const password = getPassword(src);
+    switch (getFormat(src)) {
+        case 'cbz': return listEntriesCBZ(src, password);
+        case 'cbr': return listEntriesCBR(src, password);
+        case 'cb7': return listEntriesCB7(src, password);
+        case 'cbt': return listEntriesCBT(src);
+        default: return Promise.reject(new Error('Unsupported format'));
+    }
+}
+
+function extractBatch(src, tmpDir, targetNames) {
+    const password = getPassword(src);
+    switch (getFormat(src)) {
+        case 'cbz': return password
+            ? extractBatchEncryptedCBZ(src, tmpDir, targetNames, password)
+            : extractBatchCBZ(src, tmpDir, targetNames);
+        case 'cbr': return extractBatchCBR(src, tmpDir, targetNames, password);
+        case 'cb7': return extractBatchCB7(src, tmpDir, targetNames, password);
+        case 'cbt': return extractBatchCBT(src, tmpDir, targetNames);
+        default: return Promise.reject(new Error('Unsupported format'));
+    }
+}
+
+// ── Chapters: nested archives and folders ──────────────────────────────
+
+/** Archive entries that hold a chapter of their own → the extension they are opened as */
+const NESTED_ARCHIVE_EXT = {
+    '.cbz': '.cbz', '.zip': '.cbz',
+    '.cbr': '.cbr', '.rar': '.cbr',
+    '.cb7': '.cb7', '.7z': '.cb7',
+    '.cbt': '.cbt', '.tar': '.cbt',
+};
+
+function isNestedArchiveName(name) {
+    return !name.includes('__MACOSX') && Object.prototype.hasOwnProperty.call(NESTED_ARCHIVE_EXT, path.extname(name).toLowerCase());
+}
+
+/**
+ * Pull archives stored inside the archive (one per chapter, typically) into the session's temp dir
+ * and add their pages as "inner.cbz/page.jpg" entries, sorted in with the archive's own pages.
+ * Only one level deep; an inner archive that can't be listed (damaged, encrypted) is skipped.
+ */
+async function expandNestedArchives(session) {
+    const inner = session.otherEntries.filter(isNestedArchiveName).sort(naturalSort);
+    if (inner.length === 0) return;
+    const nestedDir = path.join(session.tmpDir, 'nested');
+    fs.mkdirSync(nestedDir, { recursive: true });
+    const extracted = await extractBatch(session.archivePath, nestedDir, inner);
+
+    for (const [i, source] of inner.entries()) {
+        const file = extracted.get(source);
+        if (!file) continue;
+        // Renamed so the format follows from the extension (.zip → .cbz and so on)
+        const archive = path.join(nestedDir, 'archive' + i + NESTED_ARCHIVE_EXT[path.extname(source).toLowerCase()]);
+        fs.renameSync(file, archive);
+        let listing;
+        try {
+            listing = await listEntries(archive);
+        } catch (err) {
+            console.warn(`Skipping nested archive ${source}:`, err.message);
+            continue;
+        }
+        for (const entry of listing.images) {
+            const name = source + '/' + entry;
+            session.nested.set(name, { archive, entry, source });
+            session.imageEntries.push(name);
+        }
+    }
+    session.imageEntries.sort(naturalSort);
+}
+
+/**
+ * extractBatch for a session's page entries, nested ones included.
+ * Each nested archive extracts into its own subfolder since page names repeat between chapters.
+ * @returns {Promise<Map<string, string>>} entry name -> extracted file
+ */
+async function extractEntries(session, tmpDir, names) {
+    const own = [];
+    const byArchive = new Map();
+    for (const name of names) {
+        const nested = session.nested.get(name);
+        if (!nested) {
+            own.push(name);
+            continue;
+        }
+        if (!byArchive.has(nested.archive)) byArchive.set(nested.archive, []);
+        byArchive.get(nested.archive).push(name);
+    }
+
+    const results = own.length > 0 ? await extractBatch(session.archivePath, tmpDir, own) : new Map();
+    for (const [archive, pageNames] of byArchive) {
+        const dir = path.join(tmpDir, path.basename(archive, path.extname(archive)));
+        fs.mkdirSync(dir, { recursive: true });
+        const inner = await extractBatch(archive, dir, pageNames.map(n => session.nested.get(n).entry));
+        for (const name of pageNames) {
+            const file = inner.get(session.nested.get(name).entry);
+            if (file) results.set(name, file);
+        }
+    }
+    return results;
+}
+
+/** Title for a run of pages in the same folder, relative to the folder all pages share */
+function folderTitle(dir, commonDepth) {
+    const rest = dir.split('/').slice(commonDepth).join(' / ');
+    return rest || 'Other pages';
+}
+
+/**
+ * Group consecutive pages into chapters: one per nested archive, otherwise one per folder.
+ * Folders every page sits in (a single top-level "Comic Name/") don't count.
+ * @returns {{title: string, start: number, count: number, archive: string|null}[]} always at least one group
+ *   for a non-empty archive; `archive` is the nested archive's entry name
+ */
+function buildChapters(session) {
+    const names = session.imageEntries;
+    const keys = names.map(name => {
+        const nested = session.nested.get(name);
+        if (nested) return { key: 'archive:' + nested.source, archive: nested.source, dir: null };
+        const dir = path.posix.dirname(name.replace(/\\/g, '/'));
+        return { key: 'dir:' + dir, archive: null, dir: dir === '.' ? '' : dir };
+    });
+
+    const dirs = keys.filter(k => k.dir != null).map(k => (k.dir ? k.dir.split('/') : []));
+    let commonDepth = 0;
+    if (dirs.length > 0 && !keys.some(k => k.archive)) {
+        const first = dirs[0];
+        while (commonDepth < first.length && dirs.every(d => d[commonDepth] === first[commonDepth])) commonDepth++;
+    }
+
+    const chapters = [];
+    for (let i = 0; i < keys.length; i++) {
+        const last = chapters[chapters.length - 1];
+        if (last && last.key === keys[i].key) {
+            last.count++;
+            continue;
+        }
+        const k = keys[i];
+        const title = k.archive
+            ? path.posix.basename(k.archive.replace(/\\/g, '/'), path.extname(k.archive))
+            : folderTitle(k.dir, commonDepth);
+        chapters.push({ key: k.key, title, start: i, count: 1, archive: k.archive });
+    }
+    return chapters.map(({ key, ...chapter }) => chapter);
+}
+
 // ── Session management ───────────────────────────────────────────────────
 
 /**
@@ -232,25 +719,61 @@ async function getSession(archivePath) {
     const normPath = path.normalize(archivePath);
     if (sessions.has(normPath)) return sessions.get(normPath);
 
+    if (!fs.existsSync(normPath)) throw archiveError('ENOENT', 'File not found: ' + normPath);
+    if (!isSupportedArchive(normPath)) throw archiveError('ARCHIVE_UNSUPPORTED', 'Unsupported format: ' + (path.extname(normPath) || 'no extension'));
+
+    let listing;
+    try {
+        listing = await listEntries(normPath);
+    } catch (err) {
+        // A .cbr that is really a ZIP (and so on) fails as "corrupt"; say what it actually is
+        const actual = sniffFormat(normPath);
+        if (actual && actual !== getFormat(normPath) && !err.code) {
+            throw archiveError('ARCHIVE_UNSUPPORTED', `This is a ${FORMAT_NAMES[actual]} archive with a ${path.extname(normPath)} extension; rename it to .${actual}`);
+        }
+        throw err;
+    }
+    const { images, others, encrypted } = listing;
+
     const tmpDir = path.join(os.tmpdir(), `eagle-cbr-${Date.now()}-${Math.random().toString(36).slice(2)}`);
     fs.mkdirSync(tmpDir, { recursive: true });
 
-    let entries;
-    if (isCBZ(normPath)) {
-        entries = await listEntriesCBZ(normPath);
-    } else if (isCBR(normPath)) {
-        entries = await listEntriesCBR(normPath);
-    } else {
-        throw new Error('Unsupported format');
+    const session = new ArchiveSession(normPath, tmpDir, images, others);
+    session.encrypted = !!encrypted;
+    const firstPage = images[0];
+    let firstPath = null;
+    if (encrypted && firstPage) {
+        // Listing works with any password; try it on the first page so a wrong one fails here, not page by page
+        const password = getPassword(normPath);
+        try {
+            const results = await extractBatch(normPath, tmpDir, [firstPage]);
+            if (!results.has(firstPage)) throw archiveError('ARCHIVE_BAD_PASSWORD', 'Wrong password');
+            firstPath = results.get(firstPage);
+        } catch (err) {
+            session.destroy();
+            throw toPasswordError(err, password);
+        }
     }
-
-    const session = new ArchiveSession(normPath, tmpDir, entries);
+    try {
+        await expandNestedArchives(session);
+    } catch (err) {
+        // The archive's own pages are still readable
+        console.error('Failed to open nested archives:', err);
+    }
+    // Nested pages may sort in before it, so the probed page is cached under its final index
+    if (firstPath) session.extracted.set(session.imageEntries.indexOf(firstPage), firstPath);
     sessions.set(normPath, session);
     return session;
 }
 
 // ── Public API ───────────────────────────────────────────────────────────
 
+/** Whether the archive's entries are encrypted (it opened with the password given to setPassword) */
+async function isEncrypted(filePath) {
+    const session = await getSession(filePath);
+    return session.encrypted;
+}
+
 /**
  * List image names in archive (sorted).
  */
@@ -259,6 +782,62 @@ async function listImages(filePath) {
     return session.imageEntries;
 }
 
+/**
+ * Chapters of the archive, see buildChapters. A single entry means the pages aren't grouped.
+ */
+async function getChapters(filePath) {
+    const session = await getSession(filePath);
+    if (!session.chapters) session.chapters = buildChapters(session);
+    return session.chapters;
+}
+
+/**
+ * Parsed ComicInfo.xml for the archive, or null if it has none (or it can't be read).
+ * Read once per session; see comic-info.js for the object shape.
+ */
+async function getMetadata(filePath) {
+    const session = await getSession(filePath);
+    if (session.metadata !== undefined) return session.metadata;
+
+    const entryName = comicInfo.findComicInfoEntry(session.otherEntries);
+    if (!entryName) {
+        session.metadata = null;
+        return null;
+    }
+
+    try {
+        const results = await extractBatch(session.archivePath, session.tmpDir, [entryName]);
+        const xmlPath = results.get(entryName);
+        session.metadata = xmlPath ? comicInfo.parseComicInfo(fs.readFileSync(xmlPath, 'utf8')) : null;
+    } catch (err) {
+        console.error('Failed to read ComicInfo.xml:', err);
+        session.metadata = null;
+    }
+    return session.metadata;
+}
+
+/**
+ * ComicInfo.xml of an archive without opening a session for it: only the listing and that one
+ * entry are read (no nested archives, no page cache), for going through many archives in a row.
+ * @returns {Promise<object|null>} as getMetadata; rejects when the archive can't be listed
+ */
+async function readComicInfo(filePath) {
+    const normPath = path.normalize(filePath);
+    if (sessions.has(normPath)) return getMetadata(normPath);
+    const { others } = await listEntries(normPath);
+    const entryName = comicInfo.findComicInfoEntry(others);
+    if (!entryName) return null;
+
+    const tmpDir = path.join(os.tmpdir(), `eagle-cbr-info-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    fs.mkdirSync(tmpDir, { recursive: true });
+    try {
+        const xmlPath = (await extractBatch(normPath, tmpDir, [entryName])).get(entryName);
+        return xmlPath ? comicInfo.parseComicInfo(fs.readFileSync(xmlPath, 'utf8')) : null;
+    } finally {
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+    }
+}
+
 /**
  * Ensure pages in [centerIndex - PRELOAD_AHEAD, centerIndex + PRELOAD_AHEAD]
  * are extracted to temp. Purges far-away files. Returns the path for centerIndex.
@@ -277,31 +856,11 @@ async function ensureExtracted(filePath, centerIndex, abortToken) {
 
         // Find which indices need extraction (check again after await)
         const needed = [];
-        const neededNames = [];
         for (let i = lo; i <= hi; i++) {
-            if (!session.extracted.has(i)) {
-                needed.push(i);
-                neededNames.push(session.imageEntries[i]);
-            }
+            if (!session.extracted.has(i) && !session.failed.has(i)) needed.push(i);
         }
 
-        if (neededNames.length > 0) {
-            const normPath = path.normalize(filePath);
-            let results;
-            if (isCBZ(normPath)) {
-                results = await extractBatchCBZ(normPath, session.tmpDir, neededNames);
-            } else {
-                results = await extractBatchCBR(normPath, session.tmpDir, neededNames);
-            }
-
-            for (const idx of needed) {
-                const entryName = session.imageEntries[idx];
-                const extractedPath = results.get(entryName);
-                if (extractedPath) {
-                    session.extracted.set(idx, extractedPath);
-                }
-            }
-        }
+        if (needed.length > 0) await extractPages(session, needed);
 
         if (!abortToken || !abortToken.aborted) {
             session.purge(centerIndex);
@@ -312,7 +871,42 @@ async function ensureExtracted(filePath, centerIndex, abortToken) {
     session._extractionChain = extractionWork.catch(() => { });
 
     await extractionWork;
-    return session.pathForIndex(centerIndex);
+    const extracted = session.pathForIndex(centerIndex);
+    if (!extracted && session.failed.has(centerIndex)) throw new Error(session.failed.get(centerIndex));
+    return extracted;
+}
+
+/**
+ * Extract pages into the session's temp dir. If the batch fails (one damaged entry is enough),
+ * each page is retried on its own so its neighbours still load; pages that fail then are
+ * remembered in session.failed and not tried again this session.
+ */
+async function extractPages(session, indices) {
+    const names = indices.map(i => session.imageEntries[i]);
+    let results;
+    try {
+        results = await extractEntries(session, session.tmpDir, names);
+    } catch (batchErr) {
+        if (indices.length === 1) {
+            session.failed.set(indices[0], batchErr.message || String(batchErr));
+            return;
+        }
+        results = new Map();
+        for (const idx of indices) {
+            const name = session.imageEntries[idx];
+            try {
+                const one = await extractEntries(session, session.tmpDir, [name]);
+                if (one.has(name)) results.set(name, one.get(name));
+            } catch (err) {
+                session.failed.set(idx, err.message || String(err));
+            }
+        }
+    }
+    for (const idx of indices) {
+        const extractedPath = results.get(session.imageEntries[idx]);
+        if (extractedPath) session.extracted.set(idx, extractedPath);
+        else if (!session.failed.has(idx)) session.failed.set(idx, 'Page could not be extracted');
+    }
 }
 
 /**
@@ -342,31 +936,11 @@ async function getImagePathsInRange(filePath, indices, abortToken) {
         if (abortToken && abortToken.aborted) return; // Drop stale request
 
         const needed = [];
-        const neededNames = [];
         for (const i of unique) {
-            if (!session.extracted.has(i)) {
-                needed.push(i);
-                neededNames.push(session.imageEntries[i]);
-            }
+            if (!session.extracted.has(i) && !session.failed.has(i)) needed.push(i);
         }
 
-        if (neededNames.length > 0) {
-            const normPath = path.normalize(filePath);
-            let results;
-            if (isCBZ(normPath)) {
-                results = await extractBatchCBZ(normPath, session.tmpDir, neededNames);
-            } else {
-                results = await extractBatchCBR(normPath, session.tmpDir, neededNames);
-            }
-
-            for (const idx of needed) {
-                const entryName = session.imageEntries[idx];
-                const extractedPath = results.get(entryName);
-                if (extractedPath) {
-                    session.extracted.set(idx, extractedPath);
-                }
-            }
-        }
+        if (needed.length > 0) await extractPages(session, needed);
 
         if (!abortToken || !abortToken.aborted) {
             session.purge(centerForPurge);
@@ -420,7 +994,14 @@ function getImageDimensions(filePath, indices) {
         if (!fp) return null;
         try {
             const dim = imageSize(fp);
-            const result = { width: dim.width || 0, height: dim.height || 0 };
+            // Report the size as displayed: EXIF orientations 5–8 turn the page sideways
+            const orientation = dim.orientation || 1;
+            const swap = orientation >= 5;
+            const result = {
+                width: (swap ? dim.height : dim.width) || 0,
+                height: (swap ? dim.width : dim.height) || 0,
+                orientation,
+            };
             session.dimensions.set(idx, result);
             return result;
         } catch (_) {
@@ -441,14 +1022,148 @@ async function getAllDimensions(filePath) {
     return getImageDimensions(filePath, indices);
 }
 
+/** Inject hyper-fast encoding heuristics based on the native target container */
+function encodeFast(sh, ext) {
+    if (ext === '.jpg' || ext === '.jpeg') return sh.jpeg({ quality: 85, mozjpeg: false });
+    if (ext === '.png') return sh.png({ compressionLevel: 1 });
+    if (ext === '.webp') return sh.webp({ quality: 90, effort: 1 });
+    return sh;
+}
+
+/**
+ * Small preview renders for bookmark lists, filmstrips and the page grid.
+ * Pages are extracted into a separate thumbs/ folder so previews never touch the reading
+ * window managed by ensureExtracted (no purge, no eviction of pages the reader needs).
+ * Raw extracted files are deleted once scaled; only the small render is kept.
+ * @param {string} filePath - archive path
+ * @param {number[]} indices - 0-based image indices
+ * @param {number} width - preview pixel width
+ * @returns {Promise<Map<number, string>>} index -> preview file path
+ */
+async function getThumbnails(filePath, indices, width) {
+    const session = await getSession(filePath);
+    const w = Math.max(16, Math.round(width || 160));
+    const unique = [...new Set(indices)].filter(i => i >= 0 && i < session.pageCount);
+    const out = new Map();
+
+    const work = session._thumbChain.then(async () => {
+        const thumbDir = path.join(session.tmpDir, 'thumbs');
+        const rawDir = path.join(thumbDir, 'raw');
+        fs.mkdirSync(rawDir, { recursive: true });
+
+        const missing = [];
+        for (const i of unique) {
+            const cached = session.thumbnails.get(i + '_w' + w);
+            if (cached && fs.existsSync(cached)) out.set(i, cached);
+            else if (!session.extracted.has(i)) missing.push(i);
+        }
+
+        const extractedRaw = missing.length > 0
+            ? await extractEntries(session, rawDir, missing.map(i => session.imageEntries[i]))
+            : new Map();
+
+        let sharp = null;
+        try { sharp = require('sharp'); } catch (_) { }
+
+        for (const i of unique) {
+            if (out.has(i)) continue;
+            const src = session.extracted.get(i) || extractedRaw.get(session.imageEntries[i]);
+            if (!src) continue;
+            const ext = path.extname(src).toLowerCase() || '.jpg';
+            const thumbPath = path.join(thumbDir, `thumb_${String(i).padStart(4, '0')}_w${w}${ext === '.png' ? '.png' : '.jpg'}`);
+            try {
+                if (!sharp) throw new Error('sharp unavailable');
+                // First frame only; previews don't need animation. rotate() applies EXIF orientation.
+                const sh = sharp(src, { pages: 1 }).rotate().resize({ width: w, withoutEnlargement: true });
+                await encodeFast(sh, ext === '.png' ? '.png' : '.jpg').toFile(thumbPath);
+            } catch (_) {
+                // No sharp (or undecodable): keep the original file as its own preview
+                try { fs.copyFileSync(src, thumbPath); } catch (_) { continue; }
+            }
+            session.thumbnails.set(i + '_w' + w, thumbPath);
+            out.set(i, thumbPath);
+        }
+
+        for (const raw of extractedRaw.values()) {
+            try { fs.unlinkSync(raw); } catch (_) { }
+        }
+    });
+    session._thumbChain = work.catch(() => { });
+    await work;
+    return out;
+}
+
+/** Border detection runs on a copy scaled down to this width; the box is scaled back up */
+const CROP_DETECT_WIDTH = 600;
+
+/**
+ * Detect uniform (white, black or any flat colour) borders around a page with sharp's trim.
+ * Runs once per page and tolerance; results are cached in session.cropBoxes next to the
+ * dimension cache. Boxes that would remove almost nothing, or most of the page (blank or
+ * sparse pages), are reported as null so the page is shown as-is.
+ * @param {string} filePath - archive path
+ * @param {number} index - 0-based image index
+ * @param {number} tolerance - colour distance treated as "border" (sharp trim threshold)
+ * @param {{rotate: number, flip: boolean}} [transform] - view transform (see page-transform.js)
+ * @returns {Promise<{left: number, top: number, width: number, height: number}|null>} box in pixels of the
+ *   page as displayed (EXIF orientation and `transform` applied), for extract() after applyTransform()
+ */
+async function detectCropBox(filePath, index, tolerance, transform) {
+    const session = await getSession(filePath);
+    const key = index + '_t' + tolerance + pageTransform.transformKey(transform);
+    if (session.cropBoxes.has(key)) return session.cropBoxes.get(key);
+
+    let box = null;
+    try {
+        const sharp = require('sharp');
+        const src = await getImagePath(filePath, index);
+        if (!src) return null;
+        const meta = await sharp(src).metadata();
+        // Animated pages are never re-encoded, so they can't be cropped either
+        if (meta.width && meta.height && !(meta.pages > 1)) {
+            const orient = pageTransform.composeTransforms(pageTransform.fromExifOrientation(meta.orientation), transform);
+            const size = pageTransform.transformSize(meta, orient);
+            const scale = Math.min(1, CROP_DETECT_WIDTH / size.width);
+            const small = await pageTransform.applyTransform(sharp(src, { pages: 1 }), orient)
+                .resize({ width: Math.max(1, Math.round(size.width * scale)) })
+                .png({ compressionLevel: 0 })
+                .toBuffer();
+            const { info } = await sharp(small).trim({ threshold: tolerance }).toBuffer({ resolveWithObject: true });
+            const offX = -(info.trimOffsetLeft || 0);
+            const offY = -(info.trimOffsetTop || 0);
+            // Pad by one detection pixel so scaling never eats into the artwork
+            const pad = Math.ceil(1 / scale);
+            const left = Math.max(0, Math.floor(offX / scale) - pad);
+            const top = Math.max(0, Math.floor(offY / scale) - pad);
+            const right = Math.min(size.width, Math.ceil((offX + info.width) / scale) + pad);
+            const bottom = Math.min(size.height, Math.ceil((offY + info.height) / scale) + pad);
+            const width = right - left;
+            const height = bottom - top;
+            const kept = (width * height) / (size.width * size.height);
+            if (width > 0 && height > 0 && kept < 0.98 && kept > 0.3) {
+                box = { left, top, width, height };
+            }
+        }
+    } catch (err) {
+        console.error('detectCropBox failed:', err);
+        return null; // not cached: sharp missing or page purged mid-read, try again later
+    }
+    session.cropBoxes.set(key, box);
+    return box;
+}
+
 /**
  * Render a single page at a specific pixel width via Sharp (if available).
- * @param {string} filePath - Absolute path to the CBZ/CBR archive
+ * @param {string} filePath - Absolute path to the archive
  * @param {number} index - 0-based image index
  * @param {number} targetPixelWidth - Absolute pixel width requested (e.g. 1450)
+ * @param {object} [options]
+ * @param {{left: number, top: number, width: number, height: number}} [options.crop] - region to render (see detectCropBox)
+ * @param {object} [options.adjustments] - display adjustments (see image-adjust.js)
+ * @param {{rotate: number, flip: boolean}} [options.transform] - view transform (see page-transform.js)
  * @returns {Promise<string|null>} path to scaled image, or null if not applicable
  */
-async function renderAtScale(filePath, index, targetPixelWidth) {
+async function renderAtScale(filePath, index, targetPixelWidth, options = {}) {
     if (!targetPixelWidth || targetPixelWidth <= 0) return null;
     const normPath = path.normalize(filePath);
     const session = sessions.get(normPath);
@@ -459,7 +1174,13 @@ async function renderAtScale(filePath, index, targetPixelWidth) {
 
     // Round target to nearest 100px for caching bucket reuse
     const scaleKey = Math.round(targetPixelWidth / 100) * 100;
-    const cacheKey = `page_${String(index).padStart(4, '0')}_w${scaleKey}`;
+    const crop = options.crop || null;
+    const adjustments = options.adjustments && !imageAdjust.isNeutral(options.adjustments) ? options.adjustments : null;
+    const cropKey = crop ? `_c${crop.left}x${crop.top}x${crop.width}x${crop.height}` : '';
+    const adjustKey = adjustments ? '_a' + imageAdjust.adjustmentsKey(adjustments) : '';
+    const transform = pageTransform.isIdentity(options.transform) ? null : pageTransform.normalizeTransform(options.transform);
+    const transformKey = transform ? '_' + pageTransform.transformKey(transform) : '';
+    const cacheKey = `page_${String(index).padStart(4, '0')}_w${scaleKey}${cropKey}${adjustKey}${transformKey}`;
 
     // Check if already rendered at this scale
     if (session._scaledCache && session._scaledCache.has(cacheKey)) {
@@ -477,30 +1198,29 @@ async function renderAtScale(filePath, index, targetPixelWidth) {
             return originalPath;
         }
 
+        // Output has no metadata, so EXIF orientation is baked in together with the view transform
+        const orient = pageTransform.composeTransforms(pageTransform.fromExifOrientation(meta.orientation), transform);
+        const size = pageTransform.transformSize(meta, orient);
+
         // Target width capped at original (no upscale)
-        const targetW = Math.min(targetPixelWidth, meta.width);
+        const sourceW = crop ? crop.width : size.width;
+        const targetW = Math.min(targetPixelWidth, sourceW);
 
         // If the user zooms in to 95%+ of the original image size, completely bypass Sharp.
         // This renders instantly directly from the OS file, and prevents any double-compression artifacts!
-        if (targetW >= meta.width * 0.95 && meta.width <= 10000 && meta.height <= 10000) {
+        // (the browser applies EXIF orientation itself)
+        if (!crop && !adjustments && !transform && targetW >= size.width * 0.95 && meta.width <= 10000 && meta.height <= 10000) {
             return originalPath;
         }
 
         const ext = path.extname(originalPath).toLowerCase() || '.jpg';
         const outPath = path.join(session.tmpDir, cacheKey + ext);
 
-        let sh = sharp(originalPath).resize({ width: targetW, withoutEnlargement: true });
-
-        // Inject hyper-fast encoding heuristics based on the native target container
-        if (ext === '.jpg' || ext === '.jpeg') {
-            sh = sh.jpeg({ quality: 85, mozjpeg: false });
-        } else if (ext === '.png') {
-            sh = sh.png({ compressionLevel: 1 });
-        } else if (ext === '.webp') {
-            sh = sh.webp({ quality: 90, effort: 1 });
-        }
-
-        await sh.toFile(outPath);
+        let sh = pageTransform.applyTransform(sharp(originalPath), orient);
+        if (crop) sh = sh.extract(crop);
+        sh = sh.resize({ width: targetW, withoutEnlargement: true });
+        if (adjustments) sh = imageAdjust.applyAdjustments(sh, adjustments);
+        await encodeFast(sh, ext).toFile(outPath);
 
         if (!session._scaledCache) session._scaledCache = new Map();
         session._scaledCache.set(cacheKey, outPath);
@@ -586,18 +1306,7 @@ function removeEntryCBZ(archivePath, entryName) {
             });
 
             ws.on('finish', () => {
-                // Atomic replace
-                try {
-                    fs.renameSync(tmpOut, archivePath);
-                } catch (renameErr) {
-                    // Cross-device: copy + delete
-                    fs.copyFileSync(tmpOut, archivePath);
-                    fs.unlinkSync(tmpOut);
-                }
-                // Invalidate session cache
-                const normPath = path.normalize(archivePath);
-                const session = sessions.get(normPath);
-                if (session) session.destroy();
+                commitRewrite(tmpOut, archivePath);
                 resolve();
             });
 
@@ -607,6 +1316,864 @@ function removeEntryCBZ(archivePath, entryName) {
     });
 }
 
+/** Move a rewritten archive over the original (atomic where possible) and drop its cached session */
+function commitRewrite(tmpOut, archivePath) {
+    try {
+        fs.renameSync(tmpOut, archivePath);
+    } catch (renameErr) {
+        // Cross-device: copy + delete
+        fs.copyFileSync(tmpOut, archivePath);
+        fs.unlinkSync(tmpOut);
+    }
+    const session = sessions.get(path.normalize(archivePath));
+    if (session) session.destroy();
+}
+
+// ── CBZ: rewrite pages (edit mode) ──────────────────────────────────────
+
+function openZip(archivePath) {
+    return new Promise((resolve, reject) => {
+        requireYauzl().open(archivePath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+            if (err) reject(err);
+            else resolve(zipfile);
+        });
+    });
+}
+
+function readAllEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipfile.on('entry', entry => {
+            entries.push(entry);
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(entries));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+    });
+}
+
+function openEntryStream(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (err, stream) => {
+            if (err) reject(err);
+            else resolve(stream);
+        });
+    });
+}
+
+function streamEnd(stream) {
+    return new Promise((resolve, reject) => {
+        stream.on('end', resolve);
+        stream.on('error', reject);
+    });
+}
+
+function entryDir(name) {
+    const i = name.lastIndexOf('/');
+    return i < 0 ? '' : name.slice(0, i + 1);
+}
+
+function isStrictlySorted(names) {
+    return names.every((name, i) => i === 0 || naturalSort(names[i - 1], name) < 0);
+}
+
+/** Indices of a longest run of `names` (not necessarily adjacent) that already sorts in order */
+function longestSortedRun(names) {
+    const tails = []; // tails[k]: index ending the best run of length k + 1
+    const prev = new Array(names.length).fill(-1);
+    for (let i = 0; i < names.length; i++) {
+        let lo = 0, hi = tails.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (naturalSort(names[tails[mid]], names[i]) < 0) lo = mid + 1;
+            else hi = mid;
+        }
+        if (lo > 0) prev[i] = tails[lo - 1];
+        tails[lo] = i;
+    }
+    const run = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i >= 0; i = prev[i]) run.add(i);
+    return run;
+}
+
+/**
+ * Entry names for the rewritten page list. Kept pages keep their name (a replaced page only
+ * takes the new file's extension) and new pages are named after their file in `baseDir`.
+ * The largest set of those names that already sorts in the requested order stays as it is;
+ * every other page is renamed to fit between its neighbours, preferring its own folder and
+ * name, then the folder of the page before it with that page's name plus a letter
+ * ("012.jpg" → "012a.jpg"). Only if nothing fits are all pages renumbered as `<0001>_<name>`,
+ * in their own folder when that keeps the order, else in `baseDir`.
+ */
+function planPageNames(pages, baseDir) {
+    const names = pages.map(p => {
+        if (!p.source) return p.entry;
+        const ext = path.extname(p.source).toLowerCase();
+        if (p.entry) return p.entry.slice(0, p.entry.length - path.extname(p.entry).length) + ext;
+        return baseDir + path.basename(p.source);
+    });
+    if (isStrictlySorted(names)) return names;
+
+    const kept = longestSortedRun(names);
+    const result = names.slice();
+    const taken = new Set([...kept].map(i => names[i].toLowerCase()));
+    const fits = (name, lower, upper) => !taken.has(name.toLowerCase())
+        && (lower == null || naturalSort(lower, name) < 0)
+        && (upper == null || naturalSort(name, upper) < 0);
+    let placedAll = true;
+    for (let i = 0; i < names.length && placedAll; i++) {
+        if (kept.has(i)) continue;
+        const lower = i > 0 ? result[i - 1] : null;
+        let next = i + 1;
+        while (next < names.length && !kept.has(next)) next++;
+        const upper = next < names.length ? names[next] : null;
+
+        const base = path.posix.basename(names[i]);
+        const ext = path.extname(base);
+        const dirs = [...new Set([entryDir(names[i]), lower, upper].map(n => (n == null ? null : entryDir(n))).filter(d => d != null))];
+        const candidates = dirs.map(dir => dir + base);
+        if (lower != null) {
+            const stem = lower.slice(0, lower.length - path.extname(lower).length);
+            for (const letter of 'abcdefghijklmnopqrstuvwxyz') candidates.push(stem + letter + ext);
+        } else if (upper != null) {
+            candidates.push(entryDir(upper) + '0_' + base);
+        }
+        const name = candidates.find(c => fits(c, lower, upper));
+        if (name) {
+            result[i] = name;
+            taken.add(name.toLowerCase());
+        } else {
+            placedAll = false;
+        }
+    }
+    if (placedAll) return result;
+
+    const width = Math.max(3, String(names.length).length);
+    const renumber = dirOf => names.map((name, i) => {
+        const base = path.posix.basename(name).replace(/^\d+_/, '');
+        return dirOf(name) + String(i + 1).padStart(width, '0') + '_' + base;
+    });
+    const inOwnDirs = renumber(entryDir);
+    return isStrictlySorted(inOwnDirs) ? inOwnDirs : renumber(() => baseDir);
+}
+
+/**
+ * Rewrite a CBZ's pages in a single pass: reordered, with pages dropped, inserted or replaced.
+ * Every other entry (ComicInfo.xml, text files, directories) is copied with the same name,
+ * timestamp, compression method and content, at its original position around the page block.
+ * Only when pages moved, were inserted or deleted does ComicInfo.xml change: its <Page Image>
+ * indices and PageCount follow the pages (see comicInfo.remapPages).
+ * Atomically replaces the original file.
+ * @param {string} archivePath
+ * @param {Array<{ entry?: string, source?: string }>} pages - final page order. `entry` keeps an
+ *   existing page; `source` (absolute path) takes the image from disk, replacing `entry` if both are set.
+ * @returns {Promise<string[]>} the new page entry names, in order
+ */
+async function rewriteCBZ(archivePath, pages) {
+    if (!pages || pages.length === 0) throw new Error('An archive needs at least one page');
+    const yazl = requireYazl();
+    const tmpOut = archivePath + '.tmp';
+    const zipfile = await openZip(archivePath);
+    let ws = null;
+
+    try {
+        const entries = await readAllEntries(zipfile);
+        const isPage = entry => !/\/$/.test(entry.fileName) && isImageFileName(entry.fileName);
+        const byName = new Map(entries.filter(isPage).map(e => [e.fileName, e]));
+        for (const p of pages) {
+            if (!p.source && !byName.has(p.entry)) throw new Error('Page not found in archive: ' + p.entry);
+        }
+        const firstPage = entries.filter(isPage).map(e => e.fileName).sort(naturalSort)[0] || '';
+        const baseDir = firstPage.includes('/') ? firstPage.slice(0, firstPage.lastIndexOf('/') + 1) : '';
+        const names = planPageNames(pages, baseDir);
+        // ComicInfo's <Pages> refers to pages by position; it's only touched when positions changed
+        const oldIndex = new Map(entries.filter(isPage).map(e => e.fileName).sort(naturalSort).map((name, i) => [name, i]));
+        const indexMap = new Map();
+        pages.forEach((p, i) => {
+            if (p.entry && oldIndex.has(p.entry) && !indexMap.has(oldIndex.get(p.entry))) indexMap.set(oldIndex.get(p.entry), i);
+        });
+        const moved = indexMap.size !== oldIndex.size || pages.length !== oldIndex.size || [...indexMap].some(([from, to]) => from !== to);
+        const comicInfoName = moved && comicInfo.findComicInfoEntry(entries.filter(e => !isPage(e) && !/\/$/.test(e.fileName)).map(e => e.fileName));
+
+        const outZip = new yazl.ZipFile();
+        ws = fs.createWriteStream(tmpOut);
+        const written = new Promise((resolve, reject) => {
+            ws.on('finish', resolve);
+            ws.on('error', reject);
+        });
+        outZip.outputStream.pipe(ws);
+
+        // Same read-then-recompress copy as removeEntryCBZ, one entry at a time
+        const copyEntry = async (entry, name) => {
+            if (/\/$/.test(entry.fileName)) {
+                outZip.addEmptyDirectory(entry.fileName, { mtime: entry.getLastModDate() });
+                return;
+            }
+            const stream = await openEntryStream(zipfile, entry);
+            outZip.addReadStream(stream, name, {
+                mtime: entry.getLastModDate(),
+                compress: entry.compressionMethod !== 0,
+                size: entry.uncompressedSize,
+            });
+            await streamEnd(stream);
+        };
+        const writePages = async () => {
+            for (let i = 0; i < pages.length; i++) {
+                const p = pages[i];
+                if (p.source) {
+                    outZip.addFile(p.source, names[i], { mtime: fs.statSync(p.source).mtime, compress: false });
+                } else {
+                    await copyEntry(byName.get(p.entry), names[i]);
+                }
+            }
+        };
+
+        let pagesWritten = false;
+        for (const entry of entries) {
+            if (entry.fileName === comicInfoName) {
+                const xml = (await streamToBuffer(await openEntryStream(zipfile, entry))).toString('utf8');
+                outZip.addBuffer(Buffer.from(comicInfo.remapPages(xml, indexMap, pages.length), 'utf8'), entry.fileName, {
+                    mtime: entry.getLastModDate(),
+                    compress: entry.compressionMethod !== 0,
+                });
+            } else if (!isPage(entry)) {
+                await copyEntry(entry, entry.fileName);
+            } else if (!pagesWritten) {
+                await writePages();
+                pagesWritten = true;
+            }
+        }
+        if (!pagesWritten) await writePages();
+
+        outZip.end();
+        await written;
+        zipfile.close();
+        commitRewrite(tmpOut, archivePath);
+        return names;
+    } catch (err) {
+        zipfile.close();
+        if (ws) ws.destroy();
+        try { fs.unlinkSync(tmpOut); } catch (_) { }
+        throw err;
+    }
+}
+
+// ── CBZ: optimize (re-encode pages) ─────────────────────────────────────
+
+/** Target formats offered by optimizeCBZ, with their default quality */
+const OPTIMIZE_FORMATS = {
+    webp: { label: 'WebP', quality: 80 },
+    avif: { label: 'AVIF', quality: 55 },
+};
+
+function streamToBuffer(stream) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        stream.on('data', c => chunks.push(c));
+        stream.on('end', () => resolve(Buffer.concat(chunks)));
+        stream.on('error', reject);
+    });
+}
+
+/**
+ * Re-encode every page of a CBZ with sharp into a new CBZ at `outPath`; the original is untouched
+ * (see replaceArchive to accept the result). Animated pages are copied as-is, and so is any page
+ * whose re-encode would not be smaller or fails. Other entries are copied unchanged, as in rewriteCBZ.
+ * @param {string} archivePath
+ * @param {string} outPath
+ * @param {object} options
+ * @param {'webp'|'avif'} options.format
+ * @param {number} [options.quality] - 1–100, defaults per format (OPTIMIZE_FORMATS)
+ * @param {number} [options.maxHeight] - downscale taller pages to this height (0 = keep)
+ * @param {function(number, number)} [options.onProgress] - (pagesDone, pageCount)
+ * @param {object} [options.abortToken] - object with .aborted boolean; rejects with 'Aborted'
+ * @returns {Promise<{ pages: Array<{ name: string, newName: string, before: number, after: number,
+ *   ssim: number|null, skipped: string|null }>, before: number, after: number }>}
+ *   sizes in bytes; `skipped` is 'animated', 'larger' or 'failed' (sharp couldn't read or encode it)
+ *   for pages copied unchanged
+ */
+async function optimizeCBZ(archivePath, outPath, options) {
+    const sharp = require('sharp');
+    const yazl = requireYazl();
+    const format = OPTIMIZE_FORMATS[options.format] ? options.format : 'webp';
+    const quality = Math.max(1, Math.min(100, parseInt(options.quality, 10) || OPTIMIZE_FORMATS[format].quality));
+    const maxHeight = Math.max(0, parseInt(options.maxHeight, 10) || 0);
+    const abortToken = options.abortToken;
+    const tmpOut = outPath + '.tmp';
+    const zipfile = await openZip(archivePath);
+    let ws = null;
+
+    try {
+        const entries = await readAllEntries(zipfile);
+        const isPage = entry => !/\/$/.test(entry.fileName) && isImageFileName(entry.fileName);
+        const pageCount = entries.filter(isPage).length;
+        // Every original name stays reserved until its own page moves off it, so a renamed page
+        // ("01.png" → "01.webp") never takes the name of a later entry ("01.webp") that keeps it
+        const reserved = new Set(entries.map(e => e.fileName.toLowerCase()));
+        const writtenNames = new Set();
+        const isFree = (name, own) => !writtenNames.has(name.toLowerCase())
+            && (name.toLowerCase() === own.toLowerCase() || !reserved.has(name.toLowerCase()));
+        const report = { pages: [], before: 0, after: 0 };
+
+        const outZip = new yazl.ZipFile();
+        ws = fs.createWriteStream(tmpOut);
+        const written = new Promise((resolve, reject) => {
+            ws.on('finish', resolve);
+            ws.on('error', reject);
+        });
+        outZip.outputStream.pipe(ws);
+
+        for (const entry of entries) {
+            if (abortToken && abortToken.aborted) throw new Error('Aborted');
+            const mtime = entry.getLastModDate();
+            if (/\/$/.test(entry.fileName)) {
+                outZip.addEmptyDirectory(entry.fileName, { mtime });
+                writtenNames.add(entry.fileName.toLowerCase());
+                continue;
+            }
+            const data = await streamToBuffer(await openEntryStream(zipfile, entry));
+            if (!isPage(entry)) {
+                outZip.addBuffer(data, entry.fileName, { mtime, compress: entry.compressionMethod !== 0 });
+                writtenNames.add(entry.fileName.toLowerCase());
+                continue;
+            }
+
+            const page = { name: entry.fileName, newName: entry.fileName, before: data.length, after: data.length, ssim: null, skipped: null };
+            const ext = path.extname(entry.fileName);
+            const base = entry.fileName.slice(0, entry.fileName.length - ext.length);
+            let encoded = null;
+            try {
+                const meta = await sharp(data).metadata();
+                if (meta.pages > 1) {
+                    page.skipped = 'animated';
+                } else {
+                    // rotate() bakes EXIF orientation, which the new file won't carry
+                    let sh = sharp(data).rotate();
+                    const height = (meta.orientation || 1) >= 5 ? meta.width : meta.height;
+                    if (maxHeight && height > maxHeight) sh = sh.resize({ height: maxHeight, withoutEnlargement: true });
+                    encoded = await (format === 'avif' ? sh.avif({ quality }) : sh.webp({ quality })).toBuffer();
+                    let newName = base + '.' + format;
+                    for (let n = 2; !isFree(newName, entry.fileName); n++) newName = base + '_' + n + '.' + format;
+                    if (encoded.length < data.length) {
+                        const ssim = await imageQuality.compareImages(sharp, data, encoded);
+                        Object.assign(page, { newName, after: encoded.length, ssim });
+                    } else {
+                        page.skipped = 'larger';
+                    }
+                }
+            } catch (err) {
+                // One page sharp can't decode (truncated, odd format) shouldn't cost the whole run
+                console.error('Failed to optimize ' + entry.fileName + ':', err);
+                Object.assign(page, { newName: entry.fileName, after: data.length, ssim: null, skipped: 'failed' });
+            }
+            if (page.skipped) {
+                // Kept under its own name, which the reservation above leaves free
+                let keptName = entry.fileName;
+                for (let n = 2; !isFree(keptName, entry.fileName); n++) keptName = base + '_' + n + ext;
+                page.newName = keptName;
+                outZip.addBuffer(data, keptName, { mtime, compress: entry.compressionMethod !== 0 });
+            } else {
+                outZip.addBuffer(encoded, page.newName, { mtime, compress: false });
+            }
+            if (page.newName.toLowerCase() !== entry.fileName.toLowerCase()) reserved.delete(entry.fileName.toLowerCase());
+            writtenNames.add(page.newName.toLowerCase());
+            report.pages.push(page);
+            report.before += page.before;
+            report.after += page.after;
+            if (options.onProgress) options.onProgress(report.pages.length, pageCount);
+        }
+
+        outZip.end();
+        await written;
+        zipfile.close();
+        fs.renameSync(tmpOut, outPath);
+        return report;
+    } catch (err) {
+        zipfile.close();
+        if (ws) ws.destroy();
+        try { fs.unlinkSync(tmpOut); } catch (_) { }
+        throw err;
+    }
+}
+
+/** Accept a rebuilt archive (e.g. from optimizeCBZ): move it over the original */
+function replaceArchive(newPath, archivePath) {
+    commitRewrite(newPath, archivePath);
+}
+
+// ── CBR → CBZ conversion ────────────────────────────────────────────────
+
+/** RAR header timestamp as a Date (falls back to now when missing or unparsable) */
+function headerDate(header) {
+    const d = header.time ? new Date(header.time) : null;
+    return d && !isNaN(d.getTime()) ? d : new Date();
+}
+
+/**
+ * Rebuild a CBR as a CBZ, keeping every entry's name, order and timestamp
+ * (ComicInfo.xml and other non-image entries included).
+ * One unrar pass (solid archives are decoded once) extracts the entries one at a time; each is
+ * streamed into yazl and deleted once read, so temp disk use stays at one entry.
+ * Pages are stored as-is, other entries deflated.
+ * @param {string} archivePath - source .cbr
+ * @param {string} outPath - destination .cbz (written to outPath + '.tmp', then renamed)
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.skip] - entry names to leave out
+ * @param {function(number, number)} [options.onProgress] - called with (entriesDone, entriesTotal)
+ * @param {object} [options.abortToken] - object with .aborted boolean; rejects with 'Aborted'
+ */
+async function convertCBRtoCBZ(archivePath, outPath, options = {}) {
+    const unrar = requireUnrar();
+    const yazl = requireYazl();
+    const skip = new Set(options.skip || []);
+    const abortToken = options.abortToken;
+    const password = getPassword(archivePath);
+
+    const tmpDir = path.join(os.tmpdir(), `eagle-cbr-convert-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    let extractor;
+    let total = 0;
+    try {
+        extractor = await unrar.createExtractorFromFile({ filepath: archivePath, targetPath: tmpDir, password: password || undefined });
+        let encrypted = false;
+        for (const h of extractor.getFileList().fileHeaders) {
+            if (skip.has(h.name) || h.flags.directory) continue;
+            if (h.flags.encrypted) encrypted = true;
+            total++;
+        }
+        if (encrypted && !password) throw archiveError('ARCHIVE_ENCRYPTED', 'Archive is password-protected');
+    } catch (err) {
+        throw toPasswordError(err, password);
+    }
+    const tmpOut = outPath + '.tmp';
+    fs.mkdirSync(tmpDir, { recursive: true });
+
+    const outZip = new yazl.ZipFile();
+    const ws = fs.createWriteStream(tmpOut);
+    const written = new Promise((resolve, reject) => {
+        ws.on('finish', resolve);
+        ws.on('error', reject);
+    });
+    outZip.outputStream.pipe(ws);
+
+    try {
+        let done = 0;
+        const { files } = extractor.extract({ files: h => !skip.has(h.name) });
+        // The generator extracts lazily: the next entry is only decoded once this one is written
+        for (const { fileHeader: h } of files) {
+            if (abortToken && abortToken.aborted) throw new Error('Aborted');
+            const zipName = h.name.replace(/\\/g, '/');
+            const mtime = headerDate(h);
+            if (h.flags.directory) {
+                outZip.addEmptyDirectory(zipName, { mtime });
+                continue;
+            }
+            const fp = path.join(tmpDir, h.name.replace(/[\\/]/g, path.sep));
+            if (!fs.existsSync(fp)) throw new Error('Could not extract ' + h.name);
+            const rs = fs.createReadStream(fp);
+            const read = new Promise((resolve, reject) => {
+                rs.on('close', resolve);
+                rs.on('error', reject);
+            });
+            // Images are already compressed; deflating them again only costs time
+            outZip.addReadStream(rs, zipName, { mtime, compress: !isImageFileName(zipName) });
+            // Wait until yazl has consumed the file before deleting it (or bail if the output failed)
+            await Promise.race([read, written.then(() => { throw new Error('Output closed early'); })]);
+            fs.rmSync(fp, { force: true });
+
+            done++;
+            if (options.onProgress) options.onProgress(done, total);
+        }
+        outZip.end();
+        await written;
+
+        try {
+            fs.renameSync(tmpOut, outPath);
+        } catch (renameErr) {
+            // Cross-device: copy + delete
+            fs.copyFileSync(tmpOut, outPath);
+            fs.unlinkSync(tmpOut);
+        }
+    } catch (err) {
+        outZip.outputStream.unpipe(ws);
+        ws.destroy();
+        try { fs.unlinkSync(tmpOut); } catch (_) { }
+        throw err;
+    } finally {
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+    }
+}
+
+// ── Verify / repair ─────────────────────────────────────────────────────
+
+/** Problems verifyArchive can report for an entry */
+const VERIFY_PROBLEMS = {
+    crc: 'CRC mismatch',
+    unreadable: 'Unreadable (damaged or cut off)',
+    empty: 'Zero bytes',
+    truncated: 'Image data cut off',
+    decode: 'Not a decodable image',
+    duplicate: 'Duplicate page',
+    junk: 'Junk file',
+};
+/** Problems that leave nothing worth keeping; repairCBZ always drops these entries */
+const UNSALVAGEABLE = new Set(['crc', 'unreadable', 'empty', 'truncated', 'decode']);
+/** Leftovers from macOS / Windows that are never part of a comic */
+const JUNK_RE = /(^|\/)(__MACOSX\/|\._|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+let crcTable = null;
+function crc32(buf) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Read every entry of a ZIP without its central directory, by walking the local file headers.
+ * This is what's left of an interrupted download: the directory sits at the very end of the file.
+ * Entries are yielded until the data runs out; the last one is usually cut off (`error` set).
+ * @returns {Generator<{ name, dir, data, crc, mtime, compress, error }>}
+ */
+function* salvageZipEntries(buf) {
+    const zlib = require('zlib');
+    const yauzl = requireYauzl();
+    const LOCAL_SIG = 0x04034b50;
+    let pos = buf.indexOf('PK\x03\x04', 0, 'latin1');
+    while (pos >= 0 && pos + 30 <= buf.length && buf.readUInt32LE(pos) === LOCAL_SIG) {
+        const flags = buf.readUInt16LE(pos + 6);
+        const method = buf.readUInt16LE(pos + 8);
+        const nameLen = buf.readUInt16LE(pos + 26);
+        const extraLen = buf.readUInt16LE(pos + 28);
+        const dataStart = pos + 30 + nameLen + extraLen;
+        const name = buf.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 30, pos + 30 + nameLen);
+        // Bit 3: sizes and CRC follow the data in a descriptor instead
+        const hasDescriptor = (flags & 0x08) !== 0;
+        let crc = hasDescriptor ? null : buf.readUInt32LE(pos + 14);
+        const compressedSize = buf.readUInt32LE(pos + 18);
+        const rec = {
+            name,
+            dir: /\/$/.test(name),
+            data: null,
+            crc,
+            mtime: yauzl.dosDateTimeToDate(buf.readUInt16LE(pos + 12), buf.readUInt16LE(pos + 10)),
+            compress: method !== 0,
+            error: null,
+        };
+        let dataEnd = -1;
+        try {
+            if (dataStart > buf.length) throw new Error('Unexpected end of archive');
+            if (method === 8) {
+                const end = hasDescriptor ? buf.length : dataStart + compressedSize;
+                const result = zlib.inflateRawSync(buf.subarray(dataStart, Math.min(end, buf.length)), { info: true });
+                rec.data = result.buffer;
+                dataEnd = dataStart + result.engine.bytesWritten;
+            } else if (method === 0 && !hasDescriptor) {
+                dataEnd = dataStart + compressedSize;
+                if (dataEnd > buf.length) throw new Error('Unexpected end of archive');
+                rec.data = buf.subarray(dataStart, dataEnd);
+            } else if (method === 0) {
+                // Stored data of unknown length: the descriptor that follows records its size
+                for (let d = buf.indexOf('PK\x07\x08', dataStart, 'latin1'); d >= 0; d = buf.indexOf('PK\x07\x08', d + 4, 'latin1')) {
+                    if (d + 12 <= buf.length && buf.readUInt32LE(d + 8) === d - dataStart) {
+                        dataEnd = d;
+                        break;
+                    }
+                }
+                if (dataEnd < 0) throw new Error('Unexpected end of archive');
+                rec.data = buf.subarray(dataStart, dataEnd);
+            } else {
+                throw new Error('Unsupported compression method ' + method);
+            }
+            if (hasDescriptor) {
+                // Optional descriptor signature, then CRC (sizes follow). A file cut right after the
+                // data has no descriptor left; the data is still good, just unchecked (crc null)
+                const signed = dataEnd + 4 <= buf.length && buf.readUInt32LE(dataEnd) === 0x08074b50;
+                const at = signed ? dataEnd + 4 : dataEnd;
+                rec.crc = at + 4 <= buf.length ? buf.readUInt32LE(at) : null;
+            }
+        } catch (err) {
+            rec.data = null;
+            rec.error = err;
+        }
+        yield rec;
+        pos = buf.indexOf('PK\x03\x04', dataEnd > pos ? dataEnd : pos + 4, 'latin1');
+    }
+}
+
+/** Largest CBZ salvageZipEntries reads into memory; anything bigger could take the viewer down */
+const SALVAGE_MAX_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Walk a CBZ for verification. Falls back to salvageZipEntries when the central directory
+ * is unreadable (files up to SALVAGE_MAX_BYTES), in which case the total is unknown (0).
+ * @param {function(object, number): Promise} onEntry - (record, entryTotal)
+ * @returns {Promise<boolean>} true if entries were salvaged from local headers
+ */
+async function walkZipEntries(archivePath, onEntry) {
+    let zipfile;
+    try {
+        zipfile = await openZip(archivePath);
+    } catch (err) {
+        const size = fs.statSync(archivePath).size;
+        if (size > SALVAGE_MAX_BYTES) {
+            throw new Error(`The archive's directory is unreadable, and at ${Math.round(size / (1024 * 1024))} MB it is too large ` +
+                `to salvage entry by entry (limit ${SALVAGE_MAX_BYTES / (1024 * 1024)} MB)`);
+        }
+        let found = false;
+        for (const rec of salvageZipEntries(fs.readFileSync(archivePath))) {
+            found = true;
+            await onEntry(rec, 0);
+        }
+        if (!found) throw err;
+        return true;
+    }
+    try {
+        const entries = await readAllEntries(zipfile);
+        for (const entry of entries) {
+            const rec = {
+                name: entry.fileName,
+                dir: /\/$/.test(entry.fileName),
+                data: null,
+                crc: entry.crc32,
+                mtime: entry.getLastModDate(),
+                compress: entry.compressionMethod !== 0,
+                error: null,
+            };
+            if (!rec.dir) {
+                try {
+                    rec.data = await streamToBuffer(await openEntryStream(zipfile, entry));
+                } catch (errRead) {
+                    rec.error = errRead;
+                }
+            }
+            await onEntry(rec, entries.length);
+        }
+    } finally {
+        zipfile.close();
+    }
+    return false;
+}
+
+/** Entries extracted per pass while verifying; bounds temp disk use on huge archives */
+const VERIFY_BATCH = 50;
+
+/**
+ * Walk a CBR / CB7 / CBT for verification by extracting it in batches. A batch that fails
+ * is retried entry by entry so one damaged entry doesn't hide the rest. The libraries check
+ * CRCs themselves, so records carry no `crc` of their own.
+ */
+async function walkExtractedEntries(archivePath, onEntry) {
+    const { images, others } = await listEntries(archivePath);
+    const names = [...images, ...others];
+    const tmpDir = path.join(os.tmpdir(), `eagle-cbr-verify-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+    fs.mkdirSync(tmpDir, { recursive: true });
+    try {
+        for (let i = 0; i < names.length; i += VERIFY_BATCH) {
+            const batch = names.slice(i, i + VERIFY_BATCH);
+            const batchDir = path.join(tmpDir, String(i));
+            fs.mkdirSync(batchDir);
+            let extracted;
+            const errors = new Map();
+            try {
+                extracted = await extractBatch(archivePath, batchDir, batch);
+            } catch (_) {
+                extracted = new Map();
+                for (const name of batch) {
+                    try {
+                        const one = await extractBatch(archivePath, batchDir, [name]);
+                        if (one.has(name)) extracted.set(name, one.get(name));
+                    } catch (err) {
+                        errors.set(name, err);
+                    }
+                }
+            }
+            for (const name of batch) {
+                const fp = extracted.get(name);
+                const rec = { name, dir: false, data: null, crc: null, mtime: null, compress: false, error: null };
+                try {
+                    if (!fp) throw errors.get(name) || new Error('Could not extract ' + name);
+                    rec.data = fs.readFileSync(fp);
+                } catch (err) {
+                    rec.error = err;
+                }
+                await onEntry(rec, names.length);
+            }
+            fs.rmSync(batchDir, { recursive: true, force: true });
+        }
+    } finally {
+        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+    }
+    return false;
+}
+
+/**
+ * Fill in `problems` (keys of VERIFY_PROBLEMS), `page` and `detail` on a walked record.
+ * Images are fully decoded with sharp when it is available; `hashes` (sha1 → first entry name)
+ * finds pages whose bytes repeat an earlier page.
+ */
+async function checkEntry(sharp, rec, hashes) {
+    rec.problems = [];
+    rec.detail = '';
+    rec.duplicateOf = null;
+    const unixName = rec.name.replace(/\\/g, '/');
+    const isJunk = JUNK_RE.test(unixName);
+    rec.page = !isJunk && isImageFileName(rec.name);
+    const kept = path.posix.basename(unixName).toLowerCase() === 'comicinfo.xml' || isNestedArchiveName(unixName);
+    if (isJunk || (!rec.page && !kept)) {
+        rec.problems.push('junk');
+    }
+    if (rec.error) {
+        rec.problems.push(/crc/i.test(rec.error.message) ? 'crc' : 'unreadable');
+        rec.detail = rec.error.message;
+        return;
+    }
+    if (rec.crc != null && crc32(rec.data) !== rec.crc) rec.problems.push('crc');
+    if (rec.data.length === 0) rec.problems.push('empty');
+    if (!rec.page || rec.problems.length > 0) return;
+
+    if (sharp) {
+        try {
+            // failOn 'truncated': cut-off data fails, harmless encoder warnings don't
+            await sharp(rec.data, { failOn: 'truncated' }).stats();
+        } catch (err) {
+            rec.problems.push(/truncat|premature|end of (file|data)|unexpected end/i.test(err.message) ? 'truncated' : 'decode');
+            rec.detail = err.message;
+            return;
+        }
+    }
+    const hash = require('crypto').createHash('sha1').update(rec.data).digest('hex');
+    if (hashes.has(hash)) {
+        rec.problems.push('duplicate');
+        rec.duplicateOf = hashes.get(hash);
+    } else {
+        hashes.set(hash, rec.name);
+    }
+}
+
+/** Walk and check every entry; `onChecked(record)` sees each one, data included */
+async function inspectArchive(archivePath, options, onChecked) {
+    let sharp = null;
+    try { sharp = require('sharp'); } catch (_) { }
+    const hashes = new Map();
+    const abortToken = options.abortToken;
+    let done = 0;
+    // Encrypted CBZ entries can only be read through zip.js, which checks their CRC itself
+    const walk = getFormat(archivePath) === 'cbz' && !getPassword(archivePath) ? walkZipEntries : walkExtractedEntries;
+    const salvaged = await walk(archivePath, async (rec, total) => {
+        if (abortToken && abortToken.aborted) throw new Error('Aborted');
+        if (!rec.dir) await checkEntry(sharp, rec, hashes);
+        await onChecked(rec);
+        done++;
+        if (options.onProgress) options.onProgress(done, total);
+    });
+    return { salvaged, decoded: !!sharp };
+}
+
+/**
+ * Check an archive's integrity: CRC of every entry (CBZ; the RAR / 7z libraries check their own),
+ * a full sharp decode of every page, and zero-byte, duplicate and junk entries.
+ * A CBZ whose central directory is gone (interrupted download) is read from its local headers.
+ * @param {string} archivePath
+ * @param {object} [options]
+ * @param {function(number, number)} [options.onProgress] - (entriesDone, entriesTotal); total is 0 when unknown
+ * @param {object} [options.abortToken] - object with .aborted boolean; rejects with 'Aborted'
+ * @returns {Promise<{ entries: Array<{ name: string, size: number, page: boolean, problems: string[],
+ *   detail: string, duplicateOf: string|null }>, pages: number, damaged: number, salvaged: boolean,
+ *   decoded: boolean, repairable: boolean }>} `damaged` counts entries with an unsalvageable problem;
+ *   `decoded` is false when sharp is unavailable and pages were not decoded
+ */
+async function verifyArchive(archivePath, options = {}) {
+    const entries = [];
+    const { salvaged, decoded } = await inspectArchive(archivePath, options, rec => {
+        if (rec.dir) return;
+        entries.push({
+            name: rec.name,
+            size: rec.data ? rec.data.length : 0,
+            page: rec.page,
+            problems: rec.problems,
+            detail: rec.detail,
+            duplicateOf: rec.duplicateOf,
+        });
+    });
+    const damaged = entries.filter(e => e.problems.some(p => UNSALVAGEABLE.has(p))).length;
+    return {
+        entries,
+        pages: entries.filter(e => e.page).length,
+        damaged,
+        salvaged,
+        decoded,
+        // A rebuild would drop the encryption, so password-protected archives are left alone
+        repairable: getFormat(archivePath) === 'cbz' && !getPassword(archivePath) && (salvaged || entries.some(e => e.problems.length > 0)),
+    };
+}
+
+/**
+ * Rebuild a CBZ from its salvageable entries: every entry is read and checked again
+ * (see verifyArchive) and only those without an unsalvageable problem are written, with their
+ * name, timestamp and compression method. Atomically replaces the original file.
+ * @param {string} archivePath
+ * @param {object} [options]
+ * @param {boolean} [options.dropDuplicates] - also leave out duplicate pages
+ * @param {boolean} [options.dropJunk] - also leave out junk files
+ * @param {function(number, number)} [options.onProgress]
+ * @param {object} [options.abortToken]
+ * @returns {Promise<{ kept: number, dropped: string[] }>} kept entry count and dropped entry names
+ */
+async function repairCBZ(archivePath, options = {}) {
+    if (getFormat(archivePath) !== 'cbz') throw new Error('Only CBZ archives can be repaired');
+    if (getPassword(archivePath)) throw new Error("Password-protected archives can't be repaired");
+    const yazl = requireYazl();
+    const tmpOut = archivePath + '.tmp';
+    const outZip = new yazl.ZipFile();
+    const ws = fs.createWriteStream(tmpOut);
+    const written = new Promise((resolve, reject) => {
+        ws.on('finish', resolve);
+        ws.on('error', reject);
+    });
+    outZip.outputStream.pipe(ws);
+
+    const dropped = [];
+    let kept = 0;
+    let pages = 0;
+    try {
+        await inspectArchive(archivePath, options, rec => {
+            const mtime = rec.mtime || new Date();
+            if (rec.dir) {
+                outZip.addEmptyDirectory(rec.name, { mtime });
+                return;
+            }
+            const drop = rec.problems.some(p => UNSALVAGEABLE.has(p)) ||
+                (options.dropDuplicates && rec.problems.includes('duplicate')) ||
+                (options.dropJunk && rec.problems.includes('junk'));
+            if (drop) {
+                dropped.push(rec.name);
+                return;
+            }
+            outZip.addBuffer(rec.data, rec.name, { mtime, compress: rec.compress });
+            kept++;
+            if (rec.page) pages++;
+        });
+        if (pages === 0) throw new Error('No readable pages left to rebuild the archive from');
+        outZip.end();
+        await written;
+    } catch (err) {
+        outZip.outputStream.unpipe(ws);
+        ws.destroy();
+        try { fs.unlinkSync(tmpOut); } catch (_) { }
+        throw err;
+    }
+    commitRewrite(tmpOut, archivePath);
+    return { kept, dropped };
+}
+
 // Cleanup on process exit
 process.on('exit', cleanupAll);
 process.on('SIGINT', () => { cleanupAll(); process.exit(); });
@@ -614,6 +2181,9 @@ process.on('SIGTERM', () => { cleanupAll(); process.exit(); });
 
 module.exports = {
     listImages,
+    getChapters,
+    getMetadata,
+    readComicInfo,
     getImagePath,
     getImagePathsInRange,
     getImageBufferByIndex,
@@ -621,11 +2191,26 @@ module.exports = {
     getImageDimensions,
     getAllDimensions,
     renderAtScale,
+    detectCropBox,
+    getThumbnails,
     removeEntryCBZ,
+    rewriteCBZ,
+    optimizeCBZ,
+    replaceArchive,
+    OPTIMIZE_FORMATS,
+    convertCBRtoCBZ,
+    getErrorKind,
+    setPassword,
+    isEncrypted,
+    verifyArchive,
+    repairCBZ,
+    VERIFY_PROBLEMS,
     cleanup,
     cleanupAll,
     isImageFileName,
+    isSupportedArchive,
     IMAGE_EXT,
+    ARCHIVE_EXT,
     PRELOAD_AHEAD,
     PURGE_DISTANCE,
 };
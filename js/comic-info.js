@@ -0,0 +1,232 @@
+/**
+ * ComicInfo.xml (ComicRack / Anansi schema) helpers.
+ *
+ * The file is a flat list of elements under <ComicInfo> plus an optional <Pages> list,
+ * so a small tolerant parser and a string builder are enough – no XML dependency needed.
+ * Parsed objects keep the schema's element names as keys (Series, Number, Writer, ...)
+ * so they can be written back without a mapping table.
+ */
+const path = require('path');
+
+/** Elements parsed as numbers; everything else stays a string */
+const NUMBER_FIELDS = new Set(['Count', 'Volume', 'AlternateCount', 'Year', 'Month', 'Day', 'PageCount', 'CommunityRating']);
+/** Numeric attributes on <Page> */
+const PAGE_NUMBER_ATTRS = new Set(['Image', 'ImageSize', 'ImageWidth', 'ImageHeight']);
+
+/** Element order from the ComicInfo v2.0 XSD (a sequence, so order matters for strict readers) */
+const FIELD_ORDER = [
+    'Title', 'Series', 'Number', 'Count', 'Volume', 'AlternateSeries', 'AlternateNumber', 'AlternateCount',
+    'Summary', 'Notes', 'Year', 'Month', 'Day', 'Writer', 'Penciller', 'Inker', 'Colorist', 'Letterer',
+    'CoverArtist', 'Editor', 'Publisher', 'Imprint', 'Genre', 'Tags', 'Web', 'PageCount', 'LanguageISO',
+    'Format', 'BlackAndWhite', 'Manga', 'Characters', 'Teams', 'Locations', 'ScanInformation', 'StoryArc',
+    'SeriesGroup', 'AgeRating', 'Pages', 'CommunityRating',
+];
+
+/** ComicPageType values from the schema */
+const PAGE_TYPES = ['FrontCover', 'InnerCover', 'Roundup', 'Story', 'Advertisement', 'Editorial', 'Letters', 'Preview', 'BackCover', 'Other', 'Deleted'];
+
+/** Manga values from the schema */
+const MANGA_VALUES = ['Unknown', 'No', 'Yes', 'YesAndRightToLeft'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeEntities(str) {
+    return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, code) => {
+        if (code[0] === '#') {
+            const n = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return isNaN(n) ? m : String.fromCodePoint(n);
+        }
+        return ENTITIES[code.toLowerCase()] !== undefined ? ENTITIES[code.toLowerCase()] : m;
+    });
+}
+
+function parseAttributes(str) {
+    const attrs = {};
+    const re = /([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(str))) {
+        attrs[m[1]] = decodeEntities(m[3] !== undefined ? m[3] : m[4]);
+    }
+    return attrs;
+}
+
+/**
+ * Parse ComicInfo.xml text.
+ * @param {string} xml
+ * @returns {object|null} { Series, Number, Writer, ..., Pages: [{ Image, Type, ... }] } or null if not ComicInfo
+ */
+function parseComicInfo(xml) {
+    if (!xml) return null;
+    // Strip BOM, prolog and comments so the element scan below only sees content
+    const text = String(xml)
+        .replace(/^\uFEFF/, '')
+        .replace(/<\?[\s\S]*?\?>/g, '')
+        .replace(/<!--[\s\S]*?-->/g, '');
+
+    const root = /<ComicInfo\b[^>]*>([\s\S]*)<\/ComicInfo>/i.exec(text);
+    if (!root) return null;
+    let body = root[1];
+
+    const info = {};
+
+    const pagesMatch = /<Pages\b[^>]*>([\s\S]*?)<\/Pages>/i.exec(body);
+    if (pagesMatch) {
+        const pages = [];
+        const pageRe = /<Page\b([^>]*?)\/?>/gi;
+        let m;
+        while ((m = pageRe.exec(pagesMatch[1]))) {
+            const attrs = parseAttributes(m[1]);
+            const page = {};
+            for (const [k, v] of Object.entries(attrs)) {
+                if (PAGE_NUMBER_ATTRS.has(k)) page[k] = parseInt(v, 10);
+                else if (k === 'DoublePage') page[k] = v.toLowerCase() === 'true';
+                else page[k] = v;
+            }
+            if (typeof page.Image === 'number' && !isNaN(page.Image)) pages.push(page);
+        }
+        info.Pages = pages;
+        body = body.replace(pagesMatch[0], '');
+    }
+
+    const fieldRe = /<(\w+)\b[^>]*>([\s\S]*?)<\/\1>/g;
+    let m;
+    while ((m = fieldRe.exec(body))) {
+        const key = m[1];
+        const raw = m[2].replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1');
+        const value = decodeEntities(raw).trim();
+        if (value === '') continue;
+        if (NUMBER_FIELDS.has(key)) {
+            const n = parseFloat(value);
+            if (!isNaN(n)) info[key] = n;
+        } else {
+            info[key] = value;
+        }
+    }
+
+    return info;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        // Control characters other than tab/newline are not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+/**
+ * Serialize a ComicInfo object (same shape parseComicInfo returns) to XML.
+ * Empty values are skipped; unknown keys are ignored so the output validates against the schema.
+ * @param {object} info
+ * @returns {string}
+ */
+function buildComicInfo(info) {
+    const lines = [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<ComicInfo xmlns:xsd="http://www.w3.org/2001/XMLSchema" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    ];
+    for (const key of FIELD_ORDER) {
+        const value = info[key];
+        if (key === 'Pages') {
+            if (!Array.isArray(value) || value.length === 0) continue;
+            lines.push('  <Pages>');
+            for (const page of value) {
+                const attrs = ['Image="' + page.Image + '"'];
+                if (page.Type && page.Type !== 'Story') attrs.push('Type="' + escapeXml(page.Type) + '"');
+                if (page.DoublePage) attrs.push('DoublePage="true"');
+                if (page.ImageSize) attrs.push('ImageSize="' + page.ImageSize + '"');
+                if (page.Key) attrs.push('Key="' + escapeXml(page.Key) + '"');
+                if (page.Bookmark) attrs.push('Bookmark="' + escapeXml(page.Bookmark) + '"');
+                if (page.ImageWidth) attrs.push('ImageWidth="' + page.ImageWidth + '"');
+                if (page.ImageHeight) attrs.push('ImageHeight="' + page.ImageHeight + '"');
+                lines.push('    <Page ' + attrs.join(' ') + ' />');
+            }
+            lines.push('  </Pages>');
+            continue;
+        }
+        if (value === undefined || value === null || String(value).trim() === '') continue;
+        lines.push('  <' + key + '>' + escapeXml(String(value).trim()) + '</' + key + '>');
+    }
+    lines.push('</ComicInfo>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Point ComicInfo.xml text at the pages' new positions after they were reordered, inserted or
+ * deleted. <Page Image="n"> attributes are renumbered and moved into page order within the
+ * existing layout, <Page> elements of deleted pages are dropped and the <PageCount> number is
+ * replaced; every other byte stays as it was.
+ * @param {string} xml
+ * @param {Map<number, number>} indexMap - old page index -> new index; deleted pages are missing
+ * @param {number} pageCount - pages after the edit
+ * @returns {string}
+ */
+function remapPages(xml, indexMap, pageCount) {
+    return String(xml)
+        .replace(/(<Pages\b[^>]*>)([\s\S]*?)(<\/Pages>)/i, (block, open, inner, close) => {
+            const pageRe = /(\s*)(<Page\b[^>]*?(?:\/>|>[\s\S]*?<\/Page>))/gi;
+            const kept = [];
+            let m;
+            while ((m = pageRe.exec(inner))) {
+                const image = parseInt(parseAttributes(m[2]).Image, 10);
+                if (!indexMap.has(image)) continue;
+                const to = indexMap.get(image);
+                kept.push({ to, text: m[2].replace(/(\bImage\s*=\s*)(["'])\d+\2/, `$1$2${to}$2`) });
+            }
+            kept.sort((a, b) => a.to - b.to);
+            // Surviving slots take the pages in their new order; a deleted page goes with its leading whitespace
+            let slot = 0;
+            return open + inner.replace(pageRe, (element, space, page) => {
+                const image = parseInt(parseAttributes(page).Image, 10);
+                return indexMap.has(image) ? space + kept[slot++].text : '';
+            }) + close;
+        })
+        .replace(/(<PageCount\b[^>]*>\s*)\d+/i, `$1${pageCount}`);
+}
+
+/**
+ * Pick the ComicInfo.xml entry from a list of archive entry names.
+ * Prefers the shallowest match so a nested chapter's ComicInfo doesn't win over the volume's.
+ */
+function findComicInfoEntry(entryNames) {
+    let best = null;
+    let bestDepth = Infinity;
+    for (const name of entryNames || []) {
+        if (path.basename(name.replace(/\\/g, '/')).toLowerCase() !== 'comicinfo.xml') continue;
+        const depth = name.split(/[\\/]/).length;
+        if (depth < bestDepth) {
+            best = name;
+            bestDepth = depth;
+        }
+    }
+    return best;
+}
+
+/** True when ComicInfo marks the book as right-to-left manga */
+function isRightToLeft(info) {
+    return !!info && typeof info.Manga === 'string' && info.Manga.toLowerCase() === 'yesandrighttoleft';
+}
+
+/** Split a comma-separated credit/genre field into trimmed unique values */
+function splitList(value) {
+    if (!value) return [];
+    const out = [];
+    for (const part of String(value).split(/[,;]/)) {
+        const v = part.trim();
+        if (v && !out.includes(v)) out.push(v);
+    }
+    return out;
+}
+
+module.exports = {
+    parseComicInfo,
+    buildComicInfo,
+    remapPages,
+    findComicInfoEntry,
+    isRightToLeft,
+    splitList,
+    PAGE_TYPES,
+    MANGA_VALUES,
+};
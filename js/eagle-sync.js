@@ -0,0 +1,95 @@
+/**
+ * ComicInfo.xml → Eagle item metadata (tags, annotation, star rating).
+ * Shared by the viewer's "Sync metadata to Eagle" action and the main window's batch mode.
+ *
+ * Work is split in two steps so every caller can offer a dry run:
+ *  - buildSyncPlan() compares an item against its ComicInfo and lists the changes, writing nothing.
+ *  - applySyncPlan() writes a plan through the same eagle.item object API the viewer already uses.
+ */
+const comicInfo = require('./comic-info.js');
+
+/** Tags derived from ComicInfo: series name, every writer, every genre (deduplicated, in that order) */
+function metadataToTags(info) {
+    if (!info) return [];
+    const tags = [];
+    const add = v => { if (v && !tags.includes(v)) tags.push(v); };
+    if (info.Series) add(String(info.Series).trim());
+    comicInfo.splitList(info.Writer).forEach(add);
+    comicInfo.splitList(info.Genre).forEach(add);
+    return tags;
+}
+
+/** ComicInfo CommunityRating (0–5, may be fractional) → Eagle star count, or null if absent */
+function metadataToStar(info) {
+    if (!info || typeof info.CommunityRating !== 'number' || isNaN(info.CommunityRating)) return null;
+    return Math.max(0, Math.min(5, Math.round(info.CommunityRating)));
+}
+
+/**
+ * Compare an Eagle item with its archive's ComicInfo and list what a sync would change.
+ * Tags are only ever added; annotation and rating are replaced when ComicInfo has a value.
+ * @param {object} item - Eagle item (tags, annotation, star)
+ * @param {object|null} info - parsed ComicInfo.xml
+ * @returns {{ changes: Array<{ field: string, from: *, to: *, added?: string[] }>, hasChanges: boolean }}
+ */
+function buildSyncPlan(item, info) {
+    const changes = [];
+    if (!info) return { changes, hasChanges: false };
+
+    const currentTags = Array.isArray(item.tags) ? item.tags : [];
+    const added = metadataToTags(info).filter(t => !currentTags.includes(t));
+    if (added.length > 0) {
+        changes.push({ field: 'tags', from: currentTags, to: currentTags.concat(added), added });
+    }
+
+    const summary = info.Summary ? String(info.Summary).trim() : '';
+    const currentAnnotation = item.annotation || '';
+    if (summary && summary !== currentAnnotation) {
+        changes.push({ field: 'annotation', from: currentAnnotation, to: summary });
+    }
+
+    const star = metadataToStar(info);
+    const currentStar = typeof item.star === 'number' ? item.star : 0;
+    if (star !== null && star !== currentStar) {
+        changes.push({ field: 'star', from: currentStar, to: star });
+    }
+
+    return { changes, hasChanges: changes.length > 0 };
+}
+
+function truncate(str, max) {
+    const s = String(str || '').replace(/\s+/g, ' ').trim();
+    return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+/** One human-readable line per change, for dry-run previews */
+function describeSyncPlan(plan) {
+    return plan.changes.map(c => {
+        if (c.field === 'tags') return 'Tags: + ' + c.added.join(', ');
+        if (c.field === 'annotation') {
+            return 'Annotation: ' + (c.from ? '"' + truncate(c.from, 40) + '" → ' : '') + '"' + truncate(c.to, 60) + '"';
+        }
+        if (c.field === 'star') return 'Rating: ' + '★'.repeat(c.from) + '☆'.repeat(5 - c.from) + ' → ' + '★'.repeat(c.to) + '☆'.repeat(5 - c.to);
+        return c.field;
+    });
+}
+
+/** Write a plan to the item and save it. No-op for empty plans. */
+async function applySyncPlan(item, plan) {
+    if (!plan.hasChanges) return false;
+    for (const c of plan.changes) {
+        if (c.field === 'tags') item.tags = c.to;
+        else if (c.field === 'annotation') item.annotation = c.to;
+        else if (c.field === 'star') item.star = c.to;
+    }
+    await item.save();
+    return true;
+}
+
+module.exports = {
+    metadataToTags,
+    metadataToStar,
+    buildSyncPlan,
+    describeSyncPlan,
+    applySyncPlan,
+};
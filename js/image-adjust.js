@@ -0,0 +1,82 @@
+/**
+ * Display adjustments (brightness, contrast, gamma, saturation, invert, sharpen) as a sharp pipeline step.
+ * Shared by the viewer's downsampled renders (smartLoadImage) and archive-util's renderAtScale,
+ * so a page looks the same before and after the hi-res swap on zoom.
+ */
+
+/** Neutral values: a page rendered with these is untouched */
+const DEFAULT_ADJUSTMENTS = {
+    brightness: 1,
+    contrast: 1,
+    gamma: 1,
+    saturation: 1,
+    invert: false,
+    sharpen: 0,
+};
+
+/** Slider ranges for the numeric adjustments */
+const ADJUSTMENT_RANGES = {
+    brightness: { min: 0.5, max: 1.5, step: 0.05 },
+    contrast: { min: 0.5, max: 1.5, step: 0.05 },
+    gamma: { min: 0.5, max: 2, step: 0.05 },
+    saturation: { min: 0, max: 2, step: 0.05 },
+    sharpen: { min: 0, max: 2, step: 0.1 },
+};
+
+/** Fill missing keys with defaults and clamp numbers to their ranges */
+function normalizeAdjustments(adj) {
+    const out = { ...DEFAULT_ADJUSTMENTS };
+    if (!adj || typeof adj !== 'object') return out;
+    for (const [key, range] of Object.entries(ADJUSTMENT_RANGES)) {
+        const v = Number(adj[key]);
+        if (!isNaN(v)) out[key] = Math.max(range.min, Math.min(range.max, v));
+    }
+    out.invert = !!adj.invert;
+    return out;
+}
+
+function isNeutral(adj) {
+    if (!adj) return true;
+    return Object.keys(DEFAULT_ADJUSTMENTS).every(k => adj[k] === DEFAULT_ADJUSTMENTS[k]);
+}
+
+/** Short stable string for cache keys; '' when neutral */
+function adjustmentsKey(adj) {
+    if (isNeutral(adj)) return '';
+    return 'b' + adj.brightness + 'c' + adj.contrast + 'g' + adj.gamma + 's' + adj.saturation +
+        (adj.invert ? 'i' : '') + 'h' + adj.sharpen;
+}
+
+/**
+ * Append the adjustments to a sharp instance.
+ * @param {object} sh - sharp instance
+ * @param {object} adj - normalized adjustments
+ * @returns {object} the same sharp instance
+ */
+function applyAdjustments(sh, adj) {
+    if (isNeutral(adj)) return sh;
+    if (adj.brightness !== 1 || adj.saturation !== 1) {
+        sh = sh.modulate({ brightness: adj.brightness, saturation: adj.saturation });
+    }
+    if (adj.contrast !== 1) {
+        // Scale around mid-grey so contrast doesn't also shift brightness
+        sh = sh.linear(adj.contrast, 128 * (1 - adj.contrast));
+    }
+    if (adj.gamma !== 1) {
+        // sharp only accepts gamma values in 1..3, so the curve is split between the
+        // input (darkens) and output (brightens) side: the net exponent is 1 / gamma
+        sh = sh.gamma(Math.min(3, Math.max(1, 1 / adj.gamma)), Math.min(3, Math.max(1, adj.gamma)));
+    }
+    if (adj.invert) sh = sh.negate({ alpha: false });
+    if (adj.sharpen > 0) sh = sh.sharpen({ sigma: adj.sharpen });
+    return sh;
+}
+
+module.exports = {
+    DEFAULT_ADJUSTMENTS,
+    ADJUSTMENT_RANGES,
+    normalizeAdjustments,
+    isNeutral,
+    adjustmentsKey,
+    applyAdjustments,
+};
@@ -0,0 +1,79 @@
+/**
+ * Similarity score between an original page and its re-encoded copy, for the optimize report.
+ *
+ * Both images are reduced to the same small greyscale raster and compared with SSIM over
+ * 8×8 windows. It is "SSIM-style" rather than a reference implementation (no Gaussian
+ * weighting, non-overlapping windows), which is plenty to flag pages that lost detail.
+ */
+
+/** Comparison raster width; height follows the original's aspect ratio */
+const COMPARE_WIDTH = 256;
+const WINDOW = 8;
+const C1 = (0.01 * 255) ** 2;
+const C2 = (0.03 * 255) ** 2;
+
+/**
+ * Mean SSIM of two greyscale rasters of the same size.
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {number} 1 = identical
+ */
+function ssim(a, b, width, height) {
+    let total = 0;
+    let windows = 0;
+    for (let y = 0; y + WINDOW <= height; y += WINDOW) {
+        for (let x = 0; x + WINDOW <= width; x += WINDOW) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let dy = 0; dy < WINDOW; dy++) {
+                const row = (y + dy) * width + x;
+                for (let dx = 0; dx < WINDOW; dx++) {
+                    const va = a[row + dx];
+                    const vb = b[row + dx];
+                    sumA += va;
+                    sumB += vb;
+                    sumAA += va * va;
+                    sumBB += vb * vb;
+                    sumAB += va * vb;
+                }
+            }
+            const n = WINDOW * WINDOW;
+            const meanA = sumA / n;
+            const meanB = sumB / n;
+            const varA = sumAA / n - meanA * meanA;
+            const varB = sumBB / n - meanB * meanB;
+            const cov = sumAB / n - meanA * meanB;
+            total += ((2 * meanA * meanB + C1) * (2 * cov + C2)) /
+                ((meanA * meanA + meanB * meanB + C1) * (varA + varB + C2));
+            windows++;
+        }
+    }
+    return windows > 0 ? total / windows : 1;
+}
+
+/**
+ * Compare two encoded images (paths or buffers) with sharp.
+ * EXIF orientation is applied to both, so a rotated JPEG matches its upright re-encode.
+ * @returns {Promise<number>} SSIM score, 1 = identical
+ */
+async function compareImages(sharp, original, candidate) {
+    const meta = await sharp(original).metadata();
+    const swap = (meta.orientation || 1) >= 5;
+    const w = swap ? meta.height : meta.width;
+    const h = swap ? meta.width : meta.height;
+    const width = Math.max(WINDOW, Math.min(COMPARE_WIDTH, w || COMPARE_WIDTH));
+    const height = Math.max(WINDOW, Math.round(width * ((h || 1) / (w || 1))));
+    const raster = src => sharp(src, { pages: 1 })
+        .rotate()
+        .resize(width, height, { fit: 'fill' })
+        .removeAlpha()
+        .greyscale()
+        .raw()
+        .toBuffer();
+    const [a, b] = await Promise.all([raster(original), raster(candidate)]);
+    return ssim(a, b, width, height);
+}
+
+module.exports = {
+    ssim,
+    compareImages,
+};
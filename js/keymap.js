@@ -0,0 +1,199 @@
+/**
+ * Keyboard shortcuts: the viewer's actions, their default keys and the user's rebindings.
+ *
+ * A key is stored as a combo string, modifiers first: "Mod+Shift+S", "PageDown", "Space", "+".
+ * "Mod" is Ctrl (Cmd on macOS). Letters are upper case, and Shift is only written for letters and
+ * named keys: for symbols it is already part of the character ("+" rather than "Shift+=").
+ * The viewer stores only the actions that differ from the defaults (see serializeBindings).
+ */
+
+const IS_MAC = typeof process !== 'undefined' && process.platform === 'darwin';
+
+/** Every bindable action, in the order the settings screen lists them */
+const ACTIONS = [
+    { id: 'nextPage', group: 'Navigation', label: 'Next page', keys: ['PageDown', 'Space'] },
+    { id: 'prevPage', group: 'Navigation', label: 'Previous page', keys: ['PageUp', 'Shift+Space'] },
+    { id: 'pageRight', group: 'Navigation', label: 'Page right (follows reading direction)', keys: ['ArrowRight'] },
+    { id: 'pageLeft', group: 'Navigation', label: 'Page left (follows reading direction)', keys: ['ArrowLeft'] },
+    { id: 'firstPage', group: 'Navigation', label: 'First page', keys: ['Home'] },
+    { id: 'lastPage', group: 'Navigation', label: 'Last page', keys: ['End'] },
+    { id: 'goToPage', group: 'Navigation', label: 'Go to page…', keys: ['G'] },
+    { id: 'zoomIn', group: 'View', label: 'Zoom in', keys: ['+', '='] },
+    { id: 'zoomOut', group: 'View', label: 'Zoom out', keys: ['-'] },
+    { id: 'zoomReset', group: 'View', label: 'Reset zoom', keys: ['0'] },
+    { id: 'singlePage', group: 'View', label: 'Single page', keys: ['1'] },
+    { id: 'doublePage', group: 'View', label: 'Double page', keys: ['2'] },
+    { id: 'continuous', group: 'View', label: 'Toggle continuous scroll', keys: ['C'] },
+    { id: 'rtl', group: 'View', label: 'Toggle right-to-left', keys: ['R'] },
+    { id: 'fitNext', group: 'View', label: 'Next fit mode', keys: ['W'] },
+    { id: 'fitPrev', group: 'View', label: 'Previous fit mode', keys: ['Shift+W'] },
+    { id: 'fullscreen', group: 'View', label: 'Toggle full screen', keys: ['F'] },
+    { id: 'filmstrip', group: 'Panels', label: 'Filmstrip', keys: ['T'] },
+    { id: 'grid', group: 'Panels', label: 'Page overview', keys: ['O'] },
+    { id: 'info', group: 'Panels', label: 'Comic info', keys: ['I'] },
+    { id: 'adjust', group: 'Panels', label: 'Adjustments', keys: ['A'] },
+    { id: 'addBookmark', group: 'Panels', label: 'Bookmark this page', keys: ['B'] },
+    { id: 'bookmarks', group: 'Panels', label: 'Bookmarks', keys: ['Shift+B'] },
+    { id: 'shortcuts', group: 'Panels', label: 'Keyboard shortcuts', keys: ['?'] },
+    { id: 'savePage', group: 'Page', label: 'Save image', keys: ['Mod+S'] },
+    { id: 'copyPage', group: 'Page', label: 'Copy image', keys: ['Mod+C'] },
+    { id: 'unpackPage', group: 'Page', label: 'Unpack image to Eagle', keys: ['Mod+U'] },
+];
+
+const ACTION_IDS = new Set(ACTIONS.map(a => a.id));
+
+/** Keys the viewer needs for closing dialogs and moving focus; they can't be bound */
+const RESERVED_KEYS = ['Escape', 'Enter', 'Tab'];
+
+const MODIFIER_KEYS = new Set(['Shift', 'Control', 'Alt', 'Meta', 'AltGraph', 'CapsLock', 'Fn', 'OS']);
+const MODIFIER_ORDER = ['Mod', 'Ctrl', 'Meta', 'Alt', 'Shift'];
+
+/** Modifiers and key of a combo; "+" as the key survives the split ("Mod++") */
+function splitCombo(combo) {
+    const str = String(combo || '');
+    if (str === '+' || str.endsWith('++')) {
+        const mods = str.slice(0, -1).split('+').filter(Boolean);
+        return { mods, key: '+' };
+    }
+    const parts = str.split('+');
+    return { mods: parts.slice(0, -1), key: parts[parts.length - 1] };
+}
+
+/**
+ * Combo string for a keydown event.
+ * @returns {string|null} null for a lone modifier press
+ */
+function comboFromEvent(e) {
+    let key = e.key;
+    if (!key || MODIFIER_KEYS.has(key)) return null;
+    // Option+letter types a special character on macOS; bind the letter
+    if (e.altKey && /^Key[A-Z]$/.test(e.code || '')) key = e.code.slice(3);
+    if (key === ' ') key = 'Space';
+    else if (key.length === 1) key = key.toUpperCase();
+    const symbol = key.length === 1 && !/[A-Z]/.test(key);
+
+    const mods = [];
+    if (IS_MAC ? e.metaKey : e.ctrlKey) mods.push('Mod');
+    if (IS_MAC && e.ctrlKey) mods.push('Ctrl');
+    if (!IS_MAC && e.metaKey) mods.push('Meta');
+    if (e.altKey) mods.push('Alt');
+    if (e.shiftKey && !symbol) mods.push('Shift');
+    return [...mods, key].join('+');
+}
+
+/** Combo in a stable form, so "shift+mod+s" and "Mod+Shift+S" compare equal */
+function normalizeCombo(combo) {
+    const { mods, key } = splitCombo(combo);
+    if (!key) return null;
+    const named = key.length > 1 ? key : key.toUpperCase();
+    const ordered = MODIFIER_ORDER.filter(m => mods.some(x => x.toLowerCase() === m.toLowerCase()));
+    return [...ordered, named].join('+');
+}
+
+const KEY_LABELS = {
+    Space: 'Space',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    PageUp: 'Page Up',
+    PageDown: 'Page Down',
+};
+
+/** Combo as shown to the user: "Ctrl+S", "⌘S", "Page Down" */
+function formatCombo(combo) {
+    const { mods, key } = splitCombo(combo);
+    const label = KEY_LABELS[key] || key;
+    if (IS_MAC) {
+        const symbols = { Mod: '⌘', Ctrl: '⌃', Alt: '⌥', Shift: '⇧', Meta: '⌘' };
+        return mods.map(m => symbols[m] || m).join('') + label;
+    }
+    return [...mods.map(m => (m === 'Mod' ? 'Ctrl' : m)), label].join('+');
+}
+
+function defaultBindings() {
+    return new Map(ACTIONS.map(a => [a.id, a.keys.slice()]));
+}
+
+/**
+ * Defaults with the stored overrides applied.
+ * @param {string|null} raw - JSON { actionId: [combo, ...] } as written by serializeBindings
+ * @returns {Map<string, string[]>} actionId -> combos
+ */
+function loadBindings(raw) {
+    const bindings = defaultBindings();
+    let overrides = null;
+    try { overrides = raw ? JSON.parse(raw) : null; } catch (_) { }
+    if (!overrides || typeof overrides !== 'object') return bindings;
+    for (const [id, keys] of Object.entries(overrides)) {
+        if (!ACTION_IDS.has(id) || !Array.isArray(keys)) continue;
+        bindings.set(id, [...new Set(keys.map(normalizeCombo).filter(Boolean))]);
+    }
+    // A key moved to another action must not fire its default action as well
+    const owner = new Map();
+    for (const id of Object.keys(overrides)) {
+        if (!bindings.has(id)) continue;
+        for (const combo of bindings.get(id)) owner.set(combo, id);
+    }
+    for (const [id, keys] of bindings) {
+        bindings.set(id, keys.filter(combo => !owner.has(combo) || owner.get(combo) === id));
+    }
+    return bindings;
+}
+
+/** Overrides only (actions whose keys differ from the defaults), as a JSON string */
+function serializeBindings(bindings) {
+    const overrides = {};
+    for (const action of ACTIONS) {
+        const keys = bindings.get(action.id) || [];
+        if (!isDefault(action.id, keys)) overrides[action.id] = keys;
+    }
+    return JSON.stringify(overrides);
+}
+
+function isDefault(actionId, keys) {
+    const action = ACTIONS.find(a => a.id === actionId);
+    if (!action) return true;
+    return keys.length === action.keys.length && keys.every(k => action.keys.includes(k));
+}
+
+/** @returns {Map<string, string>} combo -> actionId */
+function buildKeyIndex(bindings) {
+    const index = new Map();
+    for (const [id, keys] of bindings) {
+        for (const combo of keys) if (!index.has(combo)) index.set(combo, id);
+    }
+    return index;
+}
+
+/** The other action already bound to `combo`, or null */
+function findConflict(bindings, combo, actionId) {
+    for (const [id, keys] of bindings) {
+        if (id !== actionId && keys.includes(combo)) return id;
+    }
+    return null;
+}
+
+function isReserved(combo) {
+    return RESERVED_KEYS.includes(splitCombo(combo).key);
+}
+
+function getAction(actionId) {
+    return ACTIONS.find(a => a.id === actionId) || null;
+}
+
+module.exports = {
+    ACTIONS,
+    RESERVED_KEYS,
+    comboFromEvent,
+    normalizeCombo,
+    formatCombo,
+    defaultBindings,
+    loadBindings,
+    serializeBindings,
+    isDefault,
+    buildKeyIndex,
+    findConflict,
+    isReserved,
+    getAction,
+};
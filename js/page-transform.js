@@ -0,0 +1,239 @@
+/**
+ * Page orientation: a clockwise rotation (0, 90, 180, 270) followed by an optional horizontal flip.
+ *
+ * The same shape describes the viewer's per-archive view transforms and a JPEG's EXIF orientation,
+ * so both can be composed into the single rotate/flip a sharp pipeline allows.
+ * Permanent rotation (bakeTransform) is lossless: JPEGs only get a new EXIF orientation tag,
+ * PNG/WebP/AVIF pixels are re-encoded with lossless settings.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const IDENTITY = { rotate: 0, flip: false };
+
+/** EXIF orientation 1–8 → transform that displays the stored pixels upright */
+const EXIF_TRANSFORMS = {
+    1: { rotate: 0, flip: false },
+    2: { rotate: 0, flip: true },
+    3: { rotate: 180, flip: false },
+    4: { rotate: 180, flip: true },
+    5: { rotate: 90, flip: true },
+    6: { rotate: 90, flip: false },
+    7: { rotate: 270, flip: true },
+    8: { rotate: 270, flip: false },
+};
+
+function normalizeTransform(t) {
+    if (!t || typeof t !== 'object') return { ...IDENTITY };
+    const rotate = ((Math.round((Number(t.rotate) || 0) / 90) * 90) % 360 + 360) % 360;
+    return { rotate, flip: !!t.flip };
+}
+
+function isIdentity(t) {
+    return !t || (!t.rotate && !t.flip);
+}
+
+/** `a` applied first, then `b` */
+function composeTransforms(a, b) {
+    a = normalizeTransform(a);
+    b = normalizeTransform(b);
+    // A flip before a rotation equals the opposite rotation before the flip
+    return normalizeTransform({
+        rotate: a.rotate + (a.flip ? -b.rotate : b.rotate),
+        flip: a.flip !== b.flip,
+    });
+}
+
+/** True when the transform turns portrait into landscape (and back) */
+function swapsAxes(t) {
+    return !!t && (t.rotate === 90 || t.rotate === 270);
+}
+
+/** { width, height } after the transform */
+function transformSize(size, t) {
+    if (!size) return size;
+    return swapsAxes(t) ? { width: size.height, height: size.width } : { width: size.width, height: size.height };
+}
+
+/** Short stable string for cache keys; '' for identity */
+function transformKey(t) {
+    if (isIdentity(t)) return '';
+    return 'r' + t.rotate + (t.flip ? 'f' : '');
+}
+
+function fromExifOrientation(orientation) {
+    return { ...(EXIF_TRANSFORMS[orientation] || IDENTITY) };
+}
+
+function toExifOrientation(t) {
+    t = normalizeTransform(t);
+    for (const [o, e] of Object.entries(EXIF_TRANSFORMS)) {
+        if (e.rotate === t.rotate && e.flip === t.flip) return parseInt(o, 10);
+    }
+    return 1;
+}
+
+/**
+ * Append a transform to a sharp instance. sharp always mirrors before it rotates,
+ * so "rotate r, then flip" is issued as flop + rotate(-r).
+ * Call before extract() so crop boxes are taken in transformed coordinates.
+ */
+function applyTransform(sh, t) {
+    if (isIdentity(t)) return sh;
+    if (t.flip) return sh.flop().rotate((360 - t.rotate) % 360);
+    return sh.rotate(t.rotate);
+}
+
+// ── JPEG EXIF orientation ────────────────────────────────────────────────
+
+const ORIENTATION_TAG = 0x0112;
+
+/**
+ * Locate the JPEG segments we care about. Stops at start-of-scan.
+ * @returns {{ app0End: number, exif: { start: number, end: number, tiff: number }|null }|null} null if not a JPEG
+ */
+function scanJpeg(buf) {
+    if (buf.length < 4 || buf[0] !== 0xFF || buf[1] !== 0xD8) return null;
+    let pos = 2;
+    let app0End = 2;
+    let exif = null;
+    while (pos + 4 <= buf.length && buf[pos] === 0xFF) {
+        const marker = buf[pos + 1];
+        if (marker === 0xDA || marker === 0xD9) break;
+        const len = buf.readUInt16BE(pos + 2);
+        const end = pos + 2 + len;
+        if (marker === 0xE0 && pos === 2) app0End = end;
+        if (marker === 0xE1 && !exif && buf.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') {
+            exif = { start: pos, end, tiff: pos + 10 };
+        }
+        pos = end;
+    }
+    return { app0End, exif };
+}
+
+/** Offset of the orientation value inside the EXIF block, or -1 */
+function findOrientationValue(buf, tiff, end) {
+    const order = buf.toString('latin1', tiff, tiff + 2);
+    if (order !== 'II' && order !== 'MM') return -1;
+    const le = order === 'II';
+    const read16 = o => (le ? buf.readUInt16LE(o) : buf.readUInt16BE(o));
+    const read32 = o => (le ? buf.readUInt32LE(o) : buf.readUInt32BE(o));
+    const ifd = tiff + read32(tiff + 4);
+    if (ifd + 2 > end) return -1;
+    const count = read16(ifd);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (entry + 12 > end) break;
+        if (read16(entry) === ORIENTATION_TAG) return entry + 8;
+    }
+    return -1;
+}
+
+/** EXIF orientation of a JPEG buffer (1 when absent or not a JPEG) */
+function readJpegOrientation(buf) {
+    const scan = scanJpeg(buf);
+    if (!scan || !scan.exif) return 1;
+    const valueAt = findOrientationValue(buf, scan.exif.tiff, scan.exif.end);
+    if (valueAt < 0) return 1;
+    const le = buf.toString('latin1', scan.exif.tiff, scan.exif.tiff + 2) === 'II';
+    const v = le ? buf.readUInt16LE(valueAt) : buf.readUInt16BE(valueAt);
+    return v >= 1 && v <= 8 ? v : 1;
+}
+
+/** APP1 segment holding nothing but an orientation tag */
+function buildOrientationSegment(orientation) {
+    const seg = Buffer.alloc(36);
+    seg.writeUInt16BE(0xFFE1, 0);
+    seg.writeUInt16BE(34, 2);
+    seg.write('Exif\0\0', 4, 'latin1');
+    seg.write('MM', 10, 'latin1');
+    seg.writeUInt16BE(0x002A, 12);
+    seg.writeUInt32BE(8, 14); // IFD0 right after the header
+    seg.writeUInt16BE(1, 18); // one entry
+    seg.writeUInt16BE(ORIENTATION_TAG, 20);
+    seg.writeUInt16BE(3, 22); // SHORT
+    seg.writeUInt32BE(1, 24);
+    seg.writeUInt16BE(orientation, 28);
+    seg.writeUInt32BE(0, 32); // no next IFD
+    return seg;
+}
+
+/**
+ * Set a JPEG's EXIF orientation without touching the image data.
+ * An existing tag is patched in place; otherwise an EXIF block without one is replaced
+ * (or a new one inserted after the JFIF header) by a minimal block carrying only the tag.
+ * @returns {Buffer}
+ */
+function writeJpegOrientation(buf, orientation) {
+    const scan = scanJpeg(buf);
+    if (!scan) throw new Error('Not a JPEG file');
+    if (scan.exif) {
+        const valueAt = findOrientationValue(buf, scan.exif.tiff, scan.exif.end);
+        if (valueAt >= 0) {
+            const out = Buffer.from(buf);
+            const le = buf.toString('latin1', scan.exif.tiff, scan.exif.tiff + 2) === 'II';
+            if (le) out.writeUInt16LE(orientation, valueAt);
+            else out.writeUInt16BE(orientation, valueAt);
+            return out;
+        }
+        return Buffer.concat([buf.subarray(0, scan.exif.start), buildOrientationSegment(orientation), buf.subarray(scan.exif.end)]);
+    }
+    return Buffer.concat([buf.subarray(0, scan.app0End), buildOrientationSegment(orientation), buf.subarray(scan.app0End)]);
+}
+
+// ── Permanent rotation ───────────────────────────────────────────────────
+
+/**
+ * Write `src` with the transform applied for good, losslessly.
+ * JPEG: EXIF orientation only. PNG / WebP / AVIF: lossless re-encode in the same format.
+ * GIF and BMP (which sharp can't write back) become PNG; animated pages are refused.
+ * @param {string} src - image file
+ * @param {string} destBase - output path without extension
+ * @param {{rotate: number, flip: boolean}} t - transform relative to how the page is shown now
+ * @returns {Promise<string>} the written file (extension chosen here)
+ */
+async function bakeTransform(src, destBase, t) {
+    const ext = path.extname(src).toLowerCase();
+    if (ext === '.jpg' || ext === '.jpeg') {
+        const buf = fs.readFileSync(src);
+        const next = composeTransforms(fromExifOrientation(readJpegOrientation(buf)), t);
+        const dest = destBase + ext;
+        fs.writeFileSync(dest, writeJpegOrientation(buf, toExifOrientation(next)));
+        return dest;
+    }
+
+    const sharp = require('sharp');
+    const meta = await sharp(src).metadata();
+    if (meta.pages > 1) throw new Error("Animated pages can't be rotated permanently");
+    // Bake any orientation the file carries too, since the output has no metadata
+    let sh = applyTransform(sharp(src), composeTransforms(fromExifOrientation(meta.orientation), t));
+    let dest;
+    if (ext === '.webp') {
+        dest = destBase + ext;
+        sh = sh.webp({ lossless: true });
+    } else if (ext === '.avif') {
+        dest = destBase + ext;
+        sh = sh.avif({ lossless: true });
+    } else {
+        dest = destBase + '.png';
+        sh = sh.png();
+    }
+    await sh.toFile(dest);
+    return dest;
+}
+
+module.exports = {
+    IDENTITY,
+    normalizeTransform,
+    isIdentity,
+    composeTransforms,
+    swapsAxes,
+    transformSize,
+    transformKey,
+    fromExifOrientation,
+    toExifOrientation,
+    applyTransform,
+    readJpegOrientation,
+    writeJpegOrientation,
+    bakeTransform,
+};
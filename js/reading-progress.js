@@ -0,0 +1,90 @@
+/**
+ * Reading progress: expiry policy, read / in-progress status and the optional Eagle tag mirror.
+ *
+ * Progress records live in the viewer's localStorage under its ':pos:' key; this module only
+ * decides what a record means so the viewer and any future library view agree on it.
+ * A record looks like { pagesPerView, continuous, index, spreadIndex, savedAt, status, finishedAt }.
+ */
+
+const STATUS_UNREAD = 'unread';
+const STATUS_READING = 'reading';
+const STATUS_READ = 'read';
+
+/** Eagle tag written for each status when mirroring is enabled (unread = no tag) */
+const STATUS_TAGS = {
+    [STATUS_READING]: 'reading',
+    [STATUS_READ]: 'read',
+};
+
+/** Expiry choices offered in the viewer, in days (0 = never expire) */
+const EXPIRY_OPTIONS = [
+    { days: 1, label: '1 day' },
+    { days: 7, label: '1 week' },
+    { days: 30, label: '30 days' },
+    { days: 0, label: 'Forever' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** True when a record's saved position is older than the expiry (0 days = never) */
+function isExpired(record, expiryDays) {
+    if (!record || !record.savedAt || !expiryDays) return false;
+    return Date.now() - record.savedAt > expiryDays * DAY_MS;
+}
+
+/**
+ * Apply the expiry policy to a stored record.
+ * An expired position is dropped, but a finished archive stays marked as read.
+ * @returns {object|null} the record to keep, or null to remove it
+ */
+function applyExpiry(record, expiryDays) {
+    if (!record || !isExpired(record, expiryDays)) return record || null;
+    if (record.status !== STATUS_READ) return null;
+    return { status: STATUS_READ, finishedAt: record.finishedAt || record.savedAt };
+}
+
+function getStatus(record) {
+    if (!record) return STATUS_UNREAD;
+    if (record.status === STATUS_READ || record.status === STATUS_READING) return record.status;
+    // Records written before statuses existed still mean the archive was opened
+    return typeof record.index === 'number' ? STATUS_READING : STATUS_UNREAD;
+}
+
+/**
+ * Status after visiting a spread. Reaching the last spread finishes the archive;
+ * paging back afterwards does not un-finish it (use "Mark as unread" for that).
+ */
+function nextStatus(previous, spreadIndex1Based, spreadCount) {
+    if (spreadCount > 0 && spreadIndex1Based >= spreadCount) return STATUS_READ;
+    return previous === STATUS_READ ? STATUS_READ : STATUS_READING;
+}
+
+/**
+ * Replace any status tag on an Eagle item with the one for `status` and save.
+ * Other tags are left untouched.
+ * @returns {Promise<boolean>} whether the item changed
+ */
+async function mirrorStatusTag(item, status) {
+    const statusTags = Object.values(STATUS_TAGS);
+    const current = Array.isArray(item.tags) ? item.tags : [];
+    const wanted = STATUS_TAGS[status] || null;
+    const next = current.filter(t => !statusTags.includes(t));
+    if (wanted) next.push(wanted);
+    if (next.length === current.length && next.every(t => current.includes(t))) return false;
+    item.tags = next;
+    await item.save();
+    return true;
+}
+
+module.exports = {
+    STATUS_UNREAD,
+    STATUS_READING,
+    STATUS_READ,
+    STATUS_TAGS,
+    EXPIRY_OPTIONS,
+    isExpired,
+    applyExpiry,
+    getStatus,
+    nextStatus,
+    mirrorStatusTag,
+};
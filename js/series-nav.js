@@ -0,0 +1,72 @@
+/**
+ * Issue order for "continue to next issue": the archives in the same Eagle folder as the open one,
+ * sorted by name or by ComicInfo series number.
+ *
+ * The viewer looks the siblings up in Eagle; this module only orders them. An issue looks like
+ * { id, name, filePath, series, number } where series / number are only filled in for the 'number' order.
+ */
+
+/** Orders offered in the viewer's context menu */
+const ISSUE_ORDERS = [
+    { id: 'name', label: 'By Name' },
+    { id: 'number', label: 'By ComicInfo Number' },
+];
+
+function naturalCompare(a, b) {
+    return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * ComicInfo <Number> as a sortable number: "12", "12.5", "#7", "3a" (→ 3).
+ * @returns {number|null} null when there is no number
+ */
+function parseIssueNumber(value) {
+    if (value == null) return null;
+    const m = String(value).match(/-?\d+(?:\.\d+)?/);
+    return m ? parseFloat(m[0]) : null;
+}
+
+function sameSeries(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+/**
+ * Sort issues for navigation.
+ * 'number': when the current issue names a series, only issues of that series are kept; issues
+ * without a number go after the numbered ones. Ties (and the 'name' order) use natural sort on the name.
+ * @param {object[]} issues - the current issue included
+ * @param {string} order - 'name' | 'number'
+ * @param {string} currentId
+ * @returns {object[]} new array
+ */
+function sortIssues(issues, order, currentId) {
+    let list = issues.slice();
+    if (order === 'number') {
+        const current = list.find(i => i.id === currentId);
+        if (current && current.series) list = list.filter(i => i.id === currentId || sameSeries(i.series, current.series));
+        return list.sort((a, b) => {
+            const na = a.number, nb = b.number;
+            if (na != null && nb != null && na !== nb) return na - nb;
+            if ((na == null) !== (nb == null)) return na == null ? 1 : -1;
+            return naturalCompare(a.name, b.name);
+        });
+    }
+    return list.sort((a, b) => naturalCompare(a.name, b.name));
+}
+
+/**
+ * The issue after (direction 1) or before (-1) the current one in a sorted list.
+ * @returns {object|null} null at either end or when the current issue isn't listed
+ */
+function getAdjacentIssue(sorted, currentId, direction) {
+    const i = sorted.findIndex(issue => issue.id === currentId);
+    if (i < 0) return null;
+    return sorted[i + (direction > 0 ? 1 : -1)] || null;
+}
+
+module.exports = {
+    ISSUE_ORDERS,
+    parseIssueNumber,
+    sortIssues,
+    getAdjacentIssue,
+};
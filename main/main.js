@@ -1,17 +1,47 @@
 /**
  * CBZ Creator – Window plugin for creating CBZ archives from selected Eagle images.
  * Uses yazl with compress: false (STORE method) for zero-overhead archiving.
+ *
+ * Also hosts batch commands on selected archives, one tab ("mode") each:
+ *  - Metadata: sync ComicInfo.xml into Eagle tags / annotation / rating (preview first).
+ *  - Convert: rebuild CBR archives as CBZ and import them with the originals' tags, folders and annotation.
  */
 const path = require('path');
 const fs = require('fs');
 const pluginRoot = path.join(__dirname, '..');
 const yazl = require(path.join(pluginRoot, 'node_modules', 'yazl'));
+const archive = require(path.join(pluginRoot, 'js', 'archive-util.js'));
+const eagleSync = require(path.join(pluginRoot, 'js', 'eagle-sync.js'));
+const comicInfo = require(path.join(pluginRoot, 'js', 'comic-info.js'));
+const sizeOf = require(path.join(pluginRoot, 'node_modules', 'image-size'));
 
 const IMAGE_EXTS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.avif']);
+const ARCHIVE_EXTS = new Set(archive.ARCHIVE_EXT);
+const MODES = ['create', 'sync', 'convert'];
 
 let items = []; // Eagle Item objects
 let listEl, emptyEl, nameInput, btnCreate, statusEl, titlebarText, chkRemoveOrigin;
 let dragReorder = { fromIndex: -1 }; // drag-to-reorder state
+let mode = 'create';
+let syncRows = []; // { item, plan, error, state } per selected archive
+let syncListEl, syncEmptyEl, syncStatusEl, btnSync;
+let syncLoadToken = 0; // bumped on every reload so stale metadata reads are dropped
+let metaForm, metaState, chkMeta;
+let convertRows = []; // { item, state, done, total, error } per selected CBR
+let convertListEl, convertEmptyEl, convertStatusEl, btnConvert, chkConvertTrash;
+let convertAbort = null; // abort token of the running batch, null when idle
+/** ComicInfo form inputs: element id → ComicInfo element */
+const META_FIELDS = {
+    'meta-series': 'Series',
+    'meta-number': 'Number',
+    'meta-title': 'Title',
+    'meta-writer': 'Writer',
+    'meta-artist': 'Penciller',
+    'meta-language': 'LanguageISO',
+    'meta-manga': 'Manga',
+    'meta-tags': 'Tags',
+    'meta-summary': 'Summary',
+};
 
 // ── Eagle lifecycle ─────────────────────────────────────────
 
@@ -25,6 +55,30 @@ eagle.onPluginCreate((plugin) => {
     statusEl = document.getElementById('status');
     titlebarText = document.getElementById('titlebar-text');
     chkRemoveOrigin = document.getElementById('chk-remove-origin');
+    syncListEl = document.getElementById('sync-list');
+    syncEmptyEl = document.getElementById('sync-empty');
+    syncStatusEl = document.getElementById('sync-status');
+    btnSync = document.getElementById('btn-sync');
+    metaForm = document.getElementById('meta-form');
+    metaState = document.getElementById('meta-state');
+    chkMeta = document.getElementById('chk-meta');
+    convertListEl = document.getElementById('convert-list');
+    convertEmptyEl = document.getElementById('convert-empty');
+    convertStatusEl = document.getElementById('convert-status');
+    btnConvert = document.getElementById('btn-convert');
+    chkConvertTrash = document.getElementById('chk-convert-trash');
+
+    // ComicInfo form: remember whether it's expanded and enabled between runs
+    metaForm.open = localStorage.getItem('eagle-cbz-meta-open') === 'true';
+    metaForm.addEventListener('toggle', () => {
+        localStorage.setItem('eagle-cbz-meta-open', metaForm.open);
+    });
+    chkMeta.checked = localStorage.getItem('eagle-cbz-meta-include') === 'true';
+    chkMeta.addEventListener('change', () => {
+        localStorage.setItem('eagle-cbz-meta-include', chkMeta.checked);
+        updateMetaState();
+    });
+    updateMetaState();
 
     // Restore persistent toggle state (unchecked by default)
     const storedToggle = localStorage.getItem('eagle-cbz-remove-origin');
@@ -54,24 +108,82 @@ eagle.onPluginCreate((plugin) => {
 
     // Drag and drop support
     setupDragDrop();
+
+    btnSync.addEventListener('click', applySync);
+    chkConvertTrash.checked = localStorage.getItem('eagle-cbz-convert-trash') === 'true';
+    chkConvertTrash.addEventListener('change', () => {
+        localStorage.setItem('eagle-cbz-convert-trash', chkConvertTrash.checked);
+    });
+    btnConvert.addEventListener('click', () => {
+        if (convertAbort) convertAbort.aborted = true;
+        else convertAll();
+    });
+    document.querySelectorAll('#mode-tabs button').forEach(btn => {
+        btn.addEventListener('click', () => setMode(btn.dataset.mode));
+    });
+    const storedMode = localStorage.getItem('eagle-cbz-main-mode');
+    setMode(MODES.includes(storedMode) ? storedMode : 'create', false);
 });
 
 eagle.onPluginRun(() => {
     console.log('CBZ Creator: onPluginRun');
     resetWindow();
-    loadSelected();
+    loadForMode();
 });
 
 eagle.onPluginShow(() => {
     console.log('CBZ Creator: onPluginShow');
     // Refresh selection each time the window is shown
-    loadSelected();
+    loadForMode();
 });
 
 function resetWindow() {
     items = [];
     nameInput.value = '';
+    clearMetadataForm();
+    syncRows = [];
+    syncLoadToken++;
+    if (!convertAbort) convertRows = [];
     updateUI();
+    renderSyncList();
+    renderConvertList();
+}
+
+// ── Modes ───────────────────────────────────────────────────
+
+function setMode(newMode, reload = true) {
+    mode = MODES.includes(newMode) ? newMode : 'create';
+    localStorage.setItem('eagle-cbz-main-mode', mode);
+    document.querySelectorAll('#mode-tabs button').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    });
+    document.querySelectorAll('.mode-panel').forEach(panel => {
+        panel.classList.toggle('hide', panel.dataset.mode !== mode);
+    });
+    updateTitle();
+    if (reload) loadForMode();
+}
+
+function loadForMode() {
+    if (mode === 'sync') loadSyncSelection();
+    else if (mode === 'convert') loadConvertSelection();
+    else loadSelected();
+}
+
+function updateTitle() {
+    if (mode === 'sync') {
+        titlebarText.textContent = syncRows.length ? `Sync Metadata (${syncRows.length} archives)` : 'Sync Metadata';
+    } else if (mode === 'convert') {
+        titlebarText.textContent = convertRows.length ? `Convert to CBZ (${convertRows.length} archives)` : 'Convert to CBZ';
+    } else {
+        titlebarText.textContent = items.length ? `Create CBZ (${items.length} images)` : 'Create CBZ';
+    }
+}
+
+/** Selected Eagle items that are comic archives this plugin can open */
+async function getSelectedArchives() {
+    const selected = await eagle.item.getSelected();
+    return selected.filter(item => ARCHIVE_EXTS.has(('.' + (item.ext || '')).toLowerCase()));
 }
 
 // ── Load selected images ────────────────────────────────────
@@ -97,15 +209,16 @@ async function loadSelected() {
         updateUI();
 
         // Prefill name from currently selected folder (if not already set)
-        if (!nameInput.value) {
-            try {
-                const folders = await eagle.folder.getSelected();
-                if (folders && folders.length > 0 && folders[0].name) {
-                    nameInput.value = folders[0].name;
-                }
-            } catch (_) { }
+        let folderName = '';
+        try {
+            const folders = await eagle.folder.getSelected();
+            if (folders && folders.length > 0 && folders[0].name) folderName = folders[0].name;
+        } catch (_) { }
+        if (!nameInput.value && folderName) {
+            nameInput.value = folderName;
             updateButtonState();
         }
+        prefillMetadata(folderName);
     } catch (err) {
         console.error('Failed to load selected items:', err);
         statusEl.textContent = 'Error loading items';
@@ -118,6 +231,7 @@ function setupDragDrop() {
     const dropTarget = document.body;
 
     dropTarget.addEventListener('dragover', e => {
+        if (mode !== 'create') return;
         e.preventDefault();
         e.stopPropagation();
         listEl.classList.add('drag-over');
@@ -130,6 +244,7 @@ function setupDragDrop() {
     });
 
     dropTarget.addEventListener('drop', async e => {
+        if (mode !== 'create') return;
         e.preventDefault();
         e.stopPropagation();
         listEl.classList.remove('drag-over');
@@ -170,13 +285,12 @@ function setupDragDrop() {
 function updateUI() {
     if (items.length === 0) {
         emptyEl.style.display = '';
-        titlebarText.textContent = 'Create CBZ';
         statusEl.textContent = 'No images selected';
     } else {
         emptyEl.style.display = 'none';
-        titlebarText.textContent = `Create CBZ (${items.length} images)`;
         statusEl.textContent = ''; // Clear status to favor space for packing feedback
     }
+    updateTitle();
 
     updateButtonState();
     renderList();
@@ -255,6 +369,20 @@ function renderList() {
         name.textContent = item.name + '.' + item.ext;
         info.appendChild(name);
 
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'page-type';
+        typeSelect.title = 'ComicInfo page type';
+        for (const type of comicInfo.PAGE_TYPES) {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = type.replace(/([a-z])([A-Z])/g, '$1 $2');
+            typeSelect.appendChild(opt);
+        }
+        typeSelect.value = getPageType(item, i);
+        typeSelect.addEventListener('change', () => { item.pageType = typeSelect.value; });
+        // Keep row drag-reorder from starting when using the select
+        typeSelect.addEventListener('mousedown', e => e.stopPropagation());
+
         const resDOM = document.createElement('div');
         resDOM.className = 'resolution';
         resDOM.textContent = (item.width && item.height) ? item.width + '×' + item.height : '';
@@ -272,10 +400,11 @@ function renderList() {
             updateUI();
         });
 
-        // Pack grid struct columns sequentially: handle -> thumb -> info -> resolution -> size -> btn
+        // Pack grid struct columns sequentially: handle -> thumb -> info -> (page type) -> resolution -> size -> btn
         row.appendChild(handle);
         row.appendChild(thumb);
         row.appendChild(info);
+        row.appendChild(typeSelect);
         row.appendChild(resDOM);
         row.appendChild(sizeDOM);
         row.appendChild(removeBtn);
@@ -340,6 +469,11 @@ async function createCBZ() {
                 zip.addFile(item.filePath, fileName, { compress: false });
             });
 
+            if (chkMeta.checked) {
+                const xml = comicInfo.buildComicInfo(buildMetadata());
+                zip.addBuffer(Buffer.from(xml, 'utf8'), 'ComicInfo.xml', { compress: true });
+            }
+
             zip.end();
 
             ws.on('finish', () => {
@@ -413,6 +547,395 @@ async function createCBZ() {
     }
 }
 
+// ── ComicInfo.xml form ──────────────────────────────────────
+
+function updateMetaState() {
+    metaState.textContent = chkMeta.checked ? 'on' : 'off';
+    listEl.classList.toggle('with-page-types', chkMeta.checked);
+}
+
+function clearMetadataForm() {
+    for (const id of Object.keys(META_FIELDS)) document.getElementById(id).value = '';
+}
+
+/**
+ * Fill empty form fields from the Eagle folder name ("Series 12" → Series + Number)
+ * and from the tags every selected image shares. Never overwrites what the user typed.
+ */
+function prefillMetadata(folderName) {
+    const fill = (id, value) => {
+        const el = document.getElementById(id);
+        if (el && !el.value && value) el.value = value;
+    };
+
+    if (folderName) {
+        const m = /^(.*?\S)\s*(?:#|vol\.?\s*|v)?(\d+(?:\.\d+)?)$/i.exec(folderName.trim());
+        if (m) {
+            fill('meta-series', m[1].replace(/[\s_-]+$/, ''));
+            fill('meta-number', m[2]);
+        } else {
+            fill('meta-series', folderName.trim());
+        }
+    }
+
+    const eagleItems = items.filter(it => !it.id.startsWith('drop_'));
+    if (eagleItems.length > 0) {
+        const shared = (eagleItems[0].tags || []).filter(tag => eagleItems.every(it => (it.tags || []).includes(tag)));
+        fill('meta-tags', shared.join(', '));
+    }
+}
+
+/** Default page type: cover first, story after, unless the user picked one */
+function getPageType(item, index) {
+    if (item.pageType) return item.pageType;
+    return index === 0 ? 'FrontCover' : 'Story';
+}
+
+function getPageDimensions(item) {
+    if (item.width && item.height) return { width: item.width, height: item.height };
+    try {
+        const dim = sizeOf(item.filePath);
+        return { width: dim.width || 0, height: dim.height || 0 };
+    } catch (_) {
+        return { width: 0, height: 0 };
+    }
+}
+
+/** ComicInfo object for the current form + list; <Pages> follows the final item order */
+function buildMetadata() {
+    const info = {};
+    for (const [id, key] of Object.entries(META_FIELDS)) {
+        const value = document.getElementById(id).value.trim();
+        if (value) info[key] = value;
+    }
+    info.PageCount = items.length;
+    info.Pages = items.map((item, i) => {
+        const dim = getPageDimensions(item);
+        let size = item.size || 0;
+        if (!size) {
+            try { size = fs.statSync(item.filePath).size; } catch (_) { }
+        }
+        return {
+            Image: i,
+            Type: getPageType(item, i),
+            DoublePage: dim.width > dim.height,
+            ImageSize: size,
+            ImageWidth: dim.width,
+            ImageHeight: dim.height,
+        };
+    });
+    return info;
+}
+
 function sanitize(name) {
     return name.replace(/[<>:"/\\|?*]/g, '_').replace(/\s+/g, '_');
 }
+
+// ── Sync metadata (ComicInfo.xml → Eagle) ───────────────────
+
+/** Read each selected archive's ComicInfo.xml and build a dry-run plan. Nothing is written here. */
+async function loadSyncSelection() {
+    const token = ++syncLoadToken;
+    try {
+        const archives = await getSelectedArchives();
+        if (token !== syncLoadToken) return;
+        syncRows = archives.map(item => ({ item, plan: null, error: null, state: 'reading' }));
+        renderSyncList();
+
+        for (const row of syncRows) {
+            try {
+                const info = await archive.getMetadata(row.item.filePath);
+                if (token !== syncLoadToken) return;
+                row.plan = eagleSync.buildSyncPlan(row.item, info);
+                row.state = !info ? 'no-info' : (row.plan.hasChanges ? 'pending' : 'in-sync');
+            } catch (err) {
+                row.error = err;
+                row.state = 'error';
+            } finally {
+                archive.cleanup(row.item.filePath);
+            }
+            renderSyncList();
+        }
+    } catch (err) {
+        console.error('Failed to load selected archives:', err);
+        syncStatusEl.textContent = 'Error loading items';
+    }
+}
+
+const SYNC_STATE_LABELS = {
+    'reading': 'Reading…',
+    'no-info': 'No ComicInfo.xml',
+    'in-sync': 'Up to date',
+    'pending': 'Preview',
+    'applying': 'Writing…',
+    'done': 'Synced',
+    'error': 'Failed',
+};
+
+function renderSyncList() {
+    syncListEl.querySelectorAll('.archive-item').forEach(el => el.remove());
+    syncEmptyEl.style.display = syncRows.length === 0 ? '' : 'none';
+
+    for (const row of syncRows) {
+        const el = document.createElement('div');
+        el.className = 'archive-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'thumb';
+        thumb.alt = '';
+        if (row.item.thumbnailURL) thumb.src = row.item.thumbnailURL;
+        thumb.onerror = () => { thumb.style.visibility = 'hidden'; };
+
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'name';
+        name.textContent = row.item.name + '.' + row.item.ext;
+        info.appendChild(name);
+        const lines = row.error
+            ? [row.error.message]
+            : (row.plan && row.plan.hasChanges && row.state !== 'done' ? eagleSync.describeSyncPlan(row.plan) : []);
+        if (lines.length) {
+            const changes = document.createElement('div');
+            changes.className = 'changes';
+            changes.textContent = lines.join('\n');
+            info.appendChild(changes);
+        }
+
+        const state = document.createElement('div');
+        state.className = 'state' + (row.state === 'error' ? ' error' : '');
+        state.textContent = SYNC_STATE_LABELS[row.state] || '';
+
+        el.appendChild(thumb);
+        el.appendChild(info);
+        el.appendChild(state);
+        syncListEl.appendChild(el);
+    }
+
+    const pending = syncRows.filter(r => r.state === 'pending').length;
+    const reading = syncRows.some(r => r.state === 'reading');
+    btnSync.disabled = pending === 0 || reading;
+    btnSync.textContent = pending > 0 ? `Apply to ${pending}` : 'Apply';
+    if (reading) syncStatusEl.textContent = 'Reading ComicInfo.xml…';
+    else if (syncRows.length === 0) syncStatusEl.textContent = 'No archives selected';
+    else syncStatusEl.textContent = pending > 0 ? 'Review the changes, then apply' : 'Nothing to change';
+    updateTitle();
+}
+
+async function applySync() {
+    const pending = syncRows.filter(r => r.state === 'pending');
+    if (pending.length === 0) return;
+    btnSync.disabled = true;
+    btnSync.classList.add('working');
+
+    let synced = 0;
+    for (const row of pending) {
+        row.state = 'applying';
+        renderSyncList();
+        try {
+            await eagleSync.applySyncPlan(row.item, row.plan);
+            row.state = 'done';
+            synced++;
+        } catch (err) {
+            console.error('Metadata sync failed:', err);
+            row.error = err;
+            row.state = 'error';
+        }
+        renderSyncList();
+    }
+
+    btnSync.classList.remove('working');
+    syncStatusEl.textContent = `Synced ${synced} of ${pending.length}`;
+    eagle.notification.show({
+        duration: 3000,
+        title: 'Metadata Synced',
+        body: `${synced} archive${synced === 1 ? '' : 's'} updated`,
+    });
+}
+
+// ── Convert CBR → CBZ ───────────────────────────────────────
+
+async function loadConvertSelection() {
+    if (convertAbort) return; // keep the running batch's rows
+    try {
+        const archives = await getSelectedArchives();
+        convertRows = archives
+            .filter(item => (item.ext || '').toLowerCase() === 'cbr')
+            .map(item => ({ item, state: 'pending', done: 0, total: 0, error: null }));
+        renderConvertList();
+    } catch (err) {
+        console.error('Failed to load selected archives:', err);
+        convertStatusEl.textContent = 'Error loading items';
+    }
+}
+
+const CONVERT_STATE_LABELS = {
+    'pending': 'Waiting',
+    'converting': 'Converting…',
+    'importing': 'Adding to Eagle…',
+    'done': 'Converted',
+    'cancelled': 'Cancelled',
+    'error': 'Failed',
+};
+
+function renderConvertList() {
+    convertListEl.querySelectorAll('.archive-item').forEach(el => el.remove());
+    convertEmptyEl.style.display = convertRows.length === 0 ? '' : 'none';
+
+    for (const row of convertRows) {
+        const el = document.createElement('div');
+        el.className = 'archive-item';
+
+        const thumb = document.createElement('img');
+        thumb.className = 'thumb';
+        thumb.alt = '';
+        if (row.item.thumbnailURL) thumb.src = row.item.thumbnailURL;
+        thumb.onerror = () => { thumb.style.visibility = 'hidden'; };
+
+        const info = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'name';
+        name.textContent = row.item.name + '.' + row.item.ext;
+        info.appendChild(name);
+        if (row.error) {
+            const changes = document.createElement('div');
+            changes.className = 'changes';
+            changes.textContent = row.error.message;
+            info.appendChild(changes);
+        }
+        if (row.state === 'converting' || row.state === 'importing') {
+            const bar = document.createElement('div');
+            bar.className = 'progress';
+            const fill = document.createElement('div');
+            fill.style.width = (row.total ? Math.round(row.done / row.total * 100) : 0) + '%';
+            bar.appendChild(fill);
+            info.appendChild(bar);
+        }
+
+        const state = document.createElement('div');
+        state.className = 'state' + (row.state === 'error' ? ' error' : '');
+        state.textContent = row.state === 'converting' && row.total
+            ? `${row.done} / ${row.total}`
+            : (CONVERT_STATE_LABELS[row.state] || '');
+
+        el.appendChild(thumb);
+        el.appendChild(info);
+        el.appendChild(state);
+        row.el = el;
+        convertListEl.appendChild(el);
+    }
+
+    const pending = convertRows.filter(r => r.state === 'pending').length;
+    btnConvert.disabled = !convertAbort && pending === 0;
+    btnConvert.textContent = convertAbort ? 'Cancel' : (pending > 0 ? `Convert ${pending} to CBZ` : 'Convert to CBZ');
+    chkConvertTrash.disabled = !!convertAbort;
+    if (!convertAbort) {
+        if (convertRows.length === 0) convertStatusEl.textContent = 'No CBR archives selected';
+        else convertStatusEl.textContent = pending > 0 ? '' : 'Nothing to convert';
+    }
+    updateTitle();
+}
+
+/**
+ * Import a converted archive as a new Eagle item carrying over the original's
+ * name, tags, folders, annotation, source URL and rating.
+ * @returns {Promise<string>} the new item id
+ */
+async function importConverted(item, cbzPath) {
+    const opts = { name: item.name };
+    if (item.tags && item.tags.length) opts.tags = item.tags;
+    if (item.folders && item.folders.length) opts.folders = item.folders;
+    if (item.annotation) opts.annotation = item.annotation;
+    if (item.url) opts.website = item.url;
+    const newId = await eagle.item.addFromPath(cbzPath, opts);
+    if (item.star) {
+        const newItem = await eagle.item.getById(newId);
+        newItem.star = item.star;
+        await newItem.save();
+    }
+    return newId;
+}
+
+/**
+ * Convert every pending row one archive at a time. Each CBR is extracted in small batches
+ * (archive-util's convertCBRtoCBZ), so only a slice of an archive sits on disk at once.
+ * Cancelling stops after the current batch and leaves the remaining rows untouched.
+ */
+async function convertAll() {
+    const pending = convertRows.filter(r => r.state === 'pending');
+    if (pending.length === 0) return;
+    const abortToken = { aborted: false };
+    convertAbort = abortToken;
+    const trashOriginals = chkConvertTrash.checked;
+    const convertedIds = [];
+    renderConvertList();
+
+    for (const row of pending) {
+        if (abortToken.aborted) {
+            row.state = 'cancelled';
+            continue;
+        }
+        const tmpDir = path.join(eagle.os.tmpdir(), 'eagle-cbz-convert-' + Date.now());
+        try {
+            fs.mkdirSync(tmpDir, { recursive: true });
+            const cbzPath = path.join(tmpDir, sanitize(row.item.name) + '.cbz');
+            row.state = 'converting';
+            convertStatusEl.textContent = `Converting ${row.item.name}…`;
+            renderConvertList();
+
+            await archive.convertCBRtoCBZ(row.item.filePath, cbzPath, {
+                abortToken,
+                onProgress: (done, total) => {
+                    row.done = done;
+                    row.total = total;
+                    // Update just this row; re-rendering the whole list per batch would flicker
+                    const fill = row.el && row.el.querySelector('.progress > div');
+                    if (fill) fill.style.width = Math.round(done / total * 100) + '%';
+                    const state = row.el && row.el.querySelector('.state');
+                    if (state) state.textContent = `${done} / ${total}`;
+                },
+            });
+
+            row.state = 'importing';
+            renderConvertList();
+            await importConverted(row.item, cbzPath);
+            convertedIds.push(row.item.id);
+            row.state = 'done';
+        } catch (err) {
+            if (abortToken.aborted && err.message === 'Aborted') {
+                row.state = 'cancelled';
+            } else {
+                console.error('CBZ conversion failed:', err);
+                row.error = err;
+                row.state = 'error';
+            }
+        } finally {
+            try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+        }
+        renderConvertList();
+    }
+
+    if (trashOriginals && convertedIds.length > 0) {
+        convertStatusEl.textContent = 'Trashing originals…';
+        try {
+            // Same bulk web API call the Create tab uses
+            await fetch('http://127.0.0.1:41595/api/item/moveToTrash', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ itemIds: convertedIds })
+            });
+        } catch (e) {
+            console.error('Failed to bulk trash items via generic API:', e);
+        }
+    }
+
+    convertAbort = null;
+    renderConvertList();
+    const failed = pending.filter(r => r.state === 'error').length;
+    convertStatusEl.textContent = `Converted ${convertedIds.length} of ${pending.length}` +
+        (failed ? ` – ${failed} failed` : '') + (abortToken.aborted ? ' (cancelled)' : '');
+    eagle.notification.show({
+        duration: 3000,
+        title: abortToken.aborted ? 'Conversion Cancelled' : 'Conversion Finished',
+        body: `${convertedIds.length} archive${convertedIds.length === 1 ? '' : 's'} converted to CBZ`,
+    });
+}
@@ -1,6 +1,7 @@
 /**
- * Eagle format extension thumbnail: first image from CBZ/CBR.
+ * Eagle format extension thumbnail: first image from CBZ/CBR/CB7/CBT.
  * Writes image to dest and sets item dimensions. No full archive decompression.
+ * Password-protected archives get a padlock placeholder (the password is only known to the viewer).
  */
 const fs = require('fs');
 const path = require('path');
@@ -8,12 +9,35 @@ const pluginRoot = path.join(__dirname, '..');
 const sizeOf = require(path.join(pluginRoot, 'node_modules', 'image-size'));
 const archive = require(path.join(pluginRoot, 'js', 'archive-util.js'));
 
+/** Page-shaped padlock image, rendered with sharp */
+const LOCKED_SIZE = { width: 400, height: 560 };
+const LOCKED_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="${LOCKED_SIZE.width}" height="${LOCKED_SIZE.height}" viewBox="0 0 400 560">
+    <rect width="400" height="560" fill="#2b2b2e"/>
+    <g fill="none" stroke="#9a9aa0" stroke-width="14" stroke-linecap="round" stroke-linejoin="round">
+        <rect x="130" y="250" width="140" height="110" rx="14"/>
+        <path d="M160 250v-40a40 40 0 0 1 80 0v40"/>
+    </g>
+</svg>`;
+
+async function writeLockedThumbnail(dest, item) {
+    const sharp = require(path.join(pluginRoot, 'node_modules', 'sharp'));
+    await sharp(Buffer.from(LOCKED_SVG)).png().toFile(dest);
+    item.width = LOCKED_SIZE.width;
+    item.height = LOCKED_SIZE.height;
+    return item;
+}
+
 module.exports = async ({ src, dest, item }) => {
-    const ext = path.extname(src).toLowerCase();
-    if (ext !== '.cbz' && ext !== '.cbr') {
+    if (!archive.isSupportedArchive(src)) {
         throw new Error('Unsupported format for thumbnail');
     }
-    const buffer = await archive.getFirstImageBuffer(src);
+    let buffer;
+    try {
+        buffer = await archive.getFirstImageBuffer(src);
+    } catch (err) {
+        if (archive.getErrorKind(err) === 'encrypted') return writeLockedThumbnail(dest, item);
+        throw err;
+    }
     if (!buffer || buffer.length === 0) {
         throw new Error('No images found in archive');
     }
@@ -28,6 +28,10 @@
     const pageCurrentLabel = document.getElementById('page-current');
     const pageTotalLabel = document.getElementById('page-total');
     const pageSlider = document.getElementById('page-slider');
+    const sliderPreview = document.getElementById('slider-preview');
+    const sliderPreviewPages = document.getElementById('slider-preview-pages');
+    const sliderPreviewLabel = document.getElementById('slider-preview-label');
+    const chapterSelect = document.getElementById('chapter-select');
     const btnPrev = document.getElementById('btn-prev');
     const btnNext = document.getElementById('btn-next');
     const modeSingle = document.getElementById('mode-single');
@@ -38,6 +42,10 @@
     const scrollGapToggle = document.getElementById('scroll-gap-toggle');
     const gapOnIcon = document.getElementById('gap-on-icon');
     const gapOffIcon = document.getElementById('gap-off-icon');
+    const spreadShiftToggle = document.getElementById('spread-shift');
+    const fitModeToggle = document.getElementById('fit-mode-toggle');
+    const fitModeLabel = document.getElementById('fit-mode-label');
+    const splitWideToggle = document.getElementById('split-wide');
     const mangaRtlBtn = document.getElementById('manga-rtl');
     const scrollNavToggle = document.getElementById('scroll-nav-toggle');
     const mouseOnIcon = document.getElementById('mouse-on-icon');
@@ -51,6 +59,87 @@
     const zoomResetBtn = document.getElementById('zoom-reset');
     const zoomLabel = document.getElementById('zoom-label');
     const contentEl = document.getElementById('content');
+    const infoToggle = document.getElementById('info-toggle');
+    const infoPanel = document.getElementById('info-panel');
+    const infoTitle = document.getElementById('info-title');
+    const infoBody = document.getElementById('info-body');
+    const infoClose = document.getElementById('info-close');
+    const infoSync = document.getElementById('info-sync');
+    const bookmarksToggle = document.getElementById('bookmarks-toggle');
+    const bookmarksOverlay = document.getElementById('bookmarks-overlay');
+    const bookmarksList = document.getElementById('bookmarks-list');
+    const bookmarksImport = document.getElementById('bookmarks-import');
+    const bookmarksExport = document.getElementById('bookmarks-export');
+    const bookmarksClose = document.getElementById('bookmarks-close');
+    const adjustToggle = document.getElementById('adjust-toggle');
+    const adjustPanel = document.getElementById('adjust-panel');
+    const adjustClose = document.getElementById('adjust-close');
+    const adjustReset = document.getElementById('adjust-reset');
+    const adjustControls = document.getElementById('adjust-controls');
+    const adjustInvert = document.getElementById('adjust-invert');
+    const adjustPerArchive = document.getElementById('adjust-per-archive');
+    const filmstripEl = document.getElementById('filmstrip');
+    const filmstripToggle = document.getElementById('filmstrip-toggle');
+    const gridOverlay = document.getElementById('grid-overlay');
+    const gridToggle = document.getElementById('grid-toggle');
+    const gridClose = document.getElementById('grid-close');
+    const gridTitle = document.getElementById('grid-title');
+    const pageGrid = document.getElementById('page-grid');
+    const editOverlay = document.getElementById('edit-overlay');
+    const editTitle = document.getElementById('edit-title');
+    const editGrid = document.getElementById('edit-grid');
+    const editInsertEagle = document.getElementById('edit-insert-eagle');
+    const editInsertDisk = document.getElementById('edit-insert-disk');
+    const editReplace = document.getElementById('edit-replace');
+    const editDelete = document.getElementById('edit-delete');
+    const editUndo = document.getElementById('edit-undo');
+    const editSave = document.getElementById('edit-save');
+    const editClose = document.getElementById('edit-close');
+    const optimizeOverlay = document.getElementById('optimize-overlay');
+    const optimizeRunBtn = document.getElementById('optimize-run');
+    const optimizeApplyBtn = document.getElementById('optimize-apply');
+    const optimizeClose = document.getElementById('optimize-close');
+    const optimizeFormat = document.getElementById('optimize-format');
+    const optimizeQuality = document.getElementById('optimize-quality');
+    const optimizeQualityValue = document.getElementById('optimize-quality-value');
+    const optimizeMaxHeight = document.getElementById('optimize-max-height');
+    const optimizeStatus = document.getElementById('optimize-status');
+    const optimizeReport = document.getElementById('optimize-report');
+    const verifyOverlay = document.getElementById('verify-overlay');
+    const verifyRunBtn = document.getElementById('verify-run');
+    const verifyRepairBtn = document.getElementById('verify-repair');
+    const verifyClose = document.getElementById('verify-close');
+    const verifyStatus = document.getElementById('verify-status');
+    const verifyReport = document.getElementById('verify-report');
+    const errorScreen = document.getElementById('error-screen');
+    const errorTitle = document.getElementById('error-title');
+    const errorMessage = document.getElementById('error-message');
+    const errorDetail = document.getElementById('error-detail');
+    const errorRetry = document.getElementById('error-retry');
+    const errorOpenFolder = document.getElementById('error-open-folder');
+    const errorVerify = document.getElementById('error-verify');
+    const passwordOverlay = document.getElementById('password-overlay');
+    const passwordForm = document.getElementById('password-form');
+    const passwordMessage = document.getElementById('password-message');
+    const passwordInput = document.getElementById('password-input');
+    const passwordError = document.getElementById('password-error');
+    const passwordRemember = document.getElementById('password-remember');
+    const passwordCancel = document.getElementById('password-cancel');
+    const issuePrompt = document.getElementById('issue-prompt');
+    const issuePromptText = document.getElementById('issue-prompt-text');
+    const issuePromptOpen = document.getElementById('issue-prompt-open');
+    const issuePromptClose = document.getElementById('issue-prompt-close');
+    const keysOverlay = document.getElementById('keys-overlay');
+    const keysTable = document.getElementById('keys-table');
+    const keysStatus = document.getElementById('keys-status');
+    const keysReset = document.getElementById('keys-reset');
+    const keysClose = document.getElementById('keys-close');
+    const gotoOverlay = document.getElementById('goto-overlay');
+    const gotoForm = document.getElementById('goto-form');
+    const gotoInput = document.getElementById('goto-input');
+    const gotoHint = document.getElementById('goto-hint');
+    const gotoError = document.getElementById('goto-error');
+    const gotoCancel = document.getElementById('goto-cancel');
 
     const STORAGE_PREFIX = (typeof eagle !== 'undefined' && eagle.plugin && eagle.plugin.manifest && eagle.plugin.manifest.id) ? eagle.plugin.manifest.id : 'eagle-cbz-cbr-reader';
     function getSetting(key, def) {
@@ -59,12 +148,27 @@
     function setSetting(key, val) {
         try { localStorage.setItem(STORAGE_PREFIX + ':setting:' + key, String(val)); } catch (_) { }
     }
+    /** Per-archive storage key: Eagle item id when available, else the normalized path */
+    function getFileKey() {
+        return fileId || filePath.replace(/\\/g, '/');
+    }
     function getPosKey() {
-        const key = fileId || filePath.replace(/\\/g, '/');
-        return STORAGE_PREFIX + ':pos:' + key;
+        return STORAGE_PREFIX + ':pos:' + getFileKey();
+    }
+    /** Explicit per-archive reading direction chosen with the RTL button (null = never chosen) */
+    function getFileRtl() {
+        try {
+            const v = localStorage.getItem(STORAGE_PREFIX + ':rtl:' + getFileKey());
+            return v === null ? null : v === 'true';
+        } catch (_) { return null; }
+    }
+    function setFileRtl(on) {
+        try { localStorage.setItem(STORAGE_PREFIX + ':rtl:' + getFileKey(), on ? 'true' : 'false'); } catch (_) { }
     }
 
     let imageNames = [];
+    /** Parsed ComicInfo.xml (null when the archive has none) */
+    let metadata = null;
     /** imagesData[index] = { width, height, aspectRatio } — 0-based image index */
     let imagesData = {};
     /** indexNum = spread count in double mode, image count otherwise (set by updateIndexNum) */
@@ -107,15 +211,32 @@
     const DEFAULT_ASPECT = 0.69;
 
     const archiveUtil = require('../js/archive-util.js');
+    const comicInfo = require('../js/comic-info.js');
+    const eagleSync = require('../js/eagle-sync.js');
+    const progress = require('../js/reading-progress.js');
+    const imageAdjust = require('../js/image-adjust.js');
+    const pageTransform = require('../js/page-transform.js');
+    const seriesNav = require('../js/series-nav.js');
+    const keymap = require('../js/keymap.js');
 
 
 
     function getAspectRatio(imageIndex) {
+        const crop = getCropBox(imageIndex);
+        if (crop) return crop.width / crop.height;
         const d = imagesData[imageIndex];
-        if (d && d.aspectRatio) return d.aspectRatio;
+        if (d && d.aspectRatio) return pageTransform.swapsAxes(getPageTransform(imageIndex)) ? 1 / d.aspectRatio : d.aspectRatio;
         return DEFAULT_ASPECT;
     }
 
+    /** Pixel size of a page as shown (crop and rotation applied), or null if not known yet */
+    function getPageSize(imageIndex) {
+        const crop = getCropBox(imageIndex);
+        if (crop) return crop;
+        const d = imagesData[imageIndex];
+        return d && d.width ? pageTransform.transformSize(d, getPageTransform(imageIndex)) : null;
+    }
+
     function loadImageSrc(index) {
         return archiveUtil.getImagePath(filePath, index).then(fp => {
             if (!fp) throw new Error('No path for page ' + index);
@@ -132,23 +253,185 @@
     }
 
     // Single track: one .r-flex per image for all 3 views. Double = 50% width + nav by spreads.
+    // Spreads come from a table built by computeSpreads(): the cover stands alone, wide
+    // (landscape) pages stand alone, and pairing restarts after each of them. Every spread
+    // is exactly one view wide, so spread k still starts at k * contentWidth.
+    /** Aspect ratio above which a page is treated as a pre-joined double-page spread */
+    const WIDE_ASPECT = 1;
+    /** Per-archive "shift pairing by one": pair the cover with page 2 instead of showing it alone */
+    let spreadShift = false;
+    /** { spreads: number[][], spreadOf: number[] } – rebuilt by updateIndexNum / refreshSpreads */
+    let spreadTable = { spreads: [], spreadOf: [] };
+
+    function getShiftKey() {
+        return STORAGE_PREFIX + ':shift:' + getFileKey();
+    }
+
+    function isWidePage(i) {
+        const page = metadata && Array.isArray(metadata.Pages) ? metadata.Pages.find(p => p.Image === i) : null;
+        if (page && page.DoublePage) return true;
+        return !!imagesData[i] && getAspectRatio(i) > WIDE_ASPECT;
+    }
+
+    function computeSpreads(n) {
+        const spreads = [];
+        let i = 0;
+        if (n > 0 && !spreadShift) spreads.push([i++]);
+        while (i < n) {
+            if (isWidePage(i) || i + 1 >= n || isWidePage(i + 1)) {
+                spreads.push([i++]);
+            } else {
+                spreads.push([i, i + 1]);
+                i += 2;
+            }
+        }
+        const spreadOf = new Array(n);
+        spreads.forEach((sp, k) => sp.forEach(idx => { spreadOf[idx] = k; }));
+        return { spreads, spreadOf };
+    }
+
     function getSpreadCount(n) {
-        if (n <= 1) return Math.max(1, n);
-        return 2 + Math.floor((n - 2) / 2);
+        if (spreadTable.spreadOf.length !== n) spreadTable = computeSpreads(n);
+        return Math.max(1, spreadTable.spreads.length);
     }
     function getSpreadPages(n, spreadIndex0) {
         if (n <= 0) return { idx1: 0, idx2: null, single: true };
-        if (spreadIndex0 <= 0) return { idx1: 0, idx2: null, single: true };
-
-        // Spread 1 is indices [1, 2]. Spread 2 is indices [3, 4], etc.
-        const idx1 = (spreadIndex0 * 2) - 1;
-        const idx2 = idx1 + 1 < n ? idx1 + 1 : null;
-        return { idx1, idx2, single: idx2 === null };
+        if (spreadTable.spreadOf.length !== n) spreadTable = computeSpreads(n);
+        const sp = spreadTable.spreads[Math.max(0, Math.min(spreadIndex0, spreadTable.spreads.length - 1))];
+        const idx2 = sp.length > 1 ? sp[1] : null;
+        return { idx1: sp[0], idx2, single: idx2 === null };
     }
 
     function getSpreadForImage(n, imageIndex0) {
-        if (imageIndex0 <= 0) return 0;
-        return Math.floor((imageIndex0 - 1) / 2) + 1;
+        if (spreadTable.spreadOf.length !== n) spreadTable = computeSpreads(n);
+        const k = spreadTable.spreadOf[Math.max(0, Math.min(imageIndex0, n - 1))];
+        return k !== undefined ? k : 0;
+    }
+
+    // Single-page mode can split wide pages into two virtual pages. The page keeps one
+    // double-width .r-flex, so each half is still exactly one view wide and the view's
+    // offset stays k * contentWidth; with the RTL track the right half naturally comes first.
+    let splitWide = getSetting('splitWide', 'false') === 'true';
+    /** { views: Array<{ index, part }>, viewOf: number[] } – single-mode view table, part = 0|1 for split halves */
+    let viewTable = { views: [], viewOf: [] };
+
+    function isSplitActive() {
+        return splitWide && pagesPerView === 1 && !continuous;
+    }
+
+    function isSplitPage(i) {
+        return isSplitActive() && isWidePage(i);
+    }
+
+    function computeViews(n) {
+        const views = [];
+        const viewOf = new Array(n);
+        for (let i = 0; i < n; i++) {
+            viewOf[i] = views.length;
+            views.push({ index: i, part: null });
+            if (isSplitPage(i)) {
+                views[views.length - 1].part = 0;
+                views.push({ index: i, part: 1 });
+            }
+        }
+        return { views, viewOf };
+    }
+
+    function getViewTable() {
+        if (viewTable.viewOf.length !== imageNames.length) viewTable = computeViews(imageNames.length);
+        return viewTable;
+    }
+
+    /** 0-based view (spread in double mode, page or half-page in single mode) showing an image */
+    function getViewForImage(imageIndex0) {
+        const n = imageNames.length;
+        const idx = Math.max(0, Math.min(imageIndex0, n - 1));
+        if (pagesPerView === 2) return getSpreadForImage(n, idx);
+        const k = getViewTable().viewOf[idx];
+        return k !== undefined ? k : idx;
+    }
+
+    /** Page counter text for a 0-based view: "4-5" for spreads, "7a" / "7b" for split halves */
+    function getViewLabel(view0) {
+        const spread = getSpreadAt(view0);
+        if (!spread || !spread[0]) return '1';
+        if (spread.length === 2) return (spread[0].index + 1) + '-' + (spread[1].index + 1);
+        const part = spread[0].part;
+        return (spread[0].index + 1) + (part === 0 ? 'a' : part === 1 ? 'b' : '');
+    }
+
+    function setSplitWide(on) {
+        const anchor = getCurrentCenterImageIndex();
+        splitWide = !!on;
+        setSetting('splitWide', splitWide ? 'true' : 'false');
+        if (splitWideToggle) splitWideToggle.classList.toggle('active', splitWide);
+        if (!imageNames.length || pagesPerView !== 1 || continuous) return;
+        updateIndexNum();
+        currentIndex = getViewForImage(anchor) + 1;
+        disposeImages();
+        calculateView(false);
+        goToIndex(currentIndex, false);
+        updatePageInfo();
+        updateNav();
+        preloadImagesAroundCurrent();
+        savePosition();
+    }
+
+    /** True when the page fills a whole view in double mode (cover, wide page, unpaired last page) */
+    function isSoloPage(i) {
+        const n = imageNames.length;
+        return getSpreadPages(n, getSpreadForImage(n, i)).single;
+    }
+
+    /**
+     * Rebuild the spread (or split view) table after page dimensions became known.
+     * Keeps the first page of the current view in place; returns true when the layout changed.
+     */
+    function refreshSpreads() {
+        if (isSplitActive()) {
+            const current = getSpreadAt(currentIndex - 1);
+            const next = computeViews(imageNames.length);
+            if (next.views.length === getViewTable().views.length) return false;
+            viewTable = next;
+            indexNum = next.views.length;
+            if (current && current[0]) {
+                currentIndex = next.viewOf[current[0].index] + 1 + (current[0].part === 1 && isWidePage(current[0].index) ? 1 : 0);
+            }
+            return true;
+        }
+        if (pagesPerView !== 2) return false;
+        const n = imageNames.length;
+        const anchor = getSpreadPages(n, currentIndex - 1).idx1;
+        const next = computeSpreads(n);
+        const same = next.spreads.length === spreadTable.spreads.length &&
+            next.spreads.every((sp, k) => sp.length === spreadTable.spreads[k].length && sp[0] === spreadTable.spreads[k][0]);
+        if (same) return false;
+        spreadTable = next;
+        indexNum = getSpreadCount(n);
+        currentIndex = getSpreadForImage(n, anchor) + 1;
+        return true;
+    }
+
+    function setSpreadShift(on, persist = true) {
+        spreadShift = !!on;
+        if (persist) {
+            try { localStorage.setItem(getShiftKey(), spreadShift ? 'true' : 'false'); } catch (_) { }
+        }
+        if (spreadShiftToggle) spreadShiftToggle.classList.toggle('active', spreadShift);
+        if (!imageNames.length) return;
+        const n = imageNames.length;
+        const anchor = pagesPerView === 2 ? getSpreadPages(n, currentIndex - 1).idx1 : 0;
+        spreadTable = computeSpreads(n);
+        if (pagesPerView !== 2) return;
+        indexNum = getSpreadCount(n);
+        currentIndex = getSpreadForImage(n, anchor) + 1;
+        disposeImages();
+        calculateView(false);
+        goToIndex(currentIndex, false);
+        updatePageInfo();
+        updateNav();
+        preloadImagesAroundCurrent();
+        savePosition();
     }
 
     function syncViewMode() {
@@ -156,7 +439,9 @@
     }
     function updateIndexNum() {
         const n = imageNames.length;
-        indexNum = pagesPerView === 2 ? getSpreadCount(n) : n;
+        spreadTable = computeSpreads(n);
+        viewTable = computeViews(n);
+        indexNum = pagesPerView === 2 ? getSpreadCount(n) : viewTable.views.length;
     }
 
     // Build DOM: one .r-flex per image, same for all modes
@@ -180,6 +465,10 @@
             img.dataset.index = String(i);
             img.loading = 'eager';
             img.decoding = 'async';
+            img.addEventListener('error', () => {
+                if (img.getAttribute('src')) showPagePlaceholder(i, 'The image data is damaged or in an unsupported format');
+            });
+            img.addEventListener('load', () => clearPagePlaceholder(i));
             wrap.appendChild(img);
             rImg.appendChild(wrap);
             rFlex.appendChild(rImg);
@@ -190,6 +479,36 @@
         lazyLoadObserver();
     }
 
+    /** Replace a page that failed to extract or decode with a tile saying so */
+    function showPagePlaceholder(idx, message) {
+        const wrap = readingTrack.querySelector(`.r-img-i${idx} > div`);
+        if (!wrap) return;
+        let tile = wrap.querySelector('.page-placeholder');
+        if (!tile) {
+            tile = document.createElement('div');
+            tile.className = 'page-placeholder';
+            wrap.appendChild(tile);
+        }
+        tile.textContent = '';
+        const title = document.createElement('div');
+        title.textContent = `${getPageLabel(idx)} could not be loaded`;
+        tile.appendChild(title);
+        if (message) {
+            const detail = document.createElement('div');
+            detail.textContent = message;
+            tile.appendChild(detail);
+        }
+        wrap.classList.add('page-failed');
+    }
+
+    function clearPagePlaceholder(idx) {
+        const wrap = readingTrack.querySelector(`.r-img-i${idx} > div`);
+        if (!wrap || !wrap.classList.contains('page-failed')) return;
+        wrap.classList.remove('page-failed');
+        const tile = wrap.querySelector('.page-placeholder');
+        if (tile) tile.remove();
+    }
+
     let imgObserver = null;
     let disposeAfterLoadTimer = 0;
 
@@ -238,6 +557,19 @@
                 scheduleDisposeAfterLoad();
                 return;
             }
+            // Newly measured pages may turn out to be wide spreads that re-pair everything after them
+            if (refreshSpreads()) {
+                disposeImages();
+                calculateView(false);
+                if (continuous) {
+                    if (haveZoom) applyScale(currentScale, false);
+                } else {
+                    goToIndex(currentIndex, false);
+                }
+                updatePageInfo();
+                updateNav();
+                return;
+            }
             disposeImages();
             if (continuous) {
                 calculateView(false);
@@ -255,28 +587,321 @@
             contentWidth = bodyDiv.offsetWidth || contentWidth;
         }
 
-        const n = imageNames.length;
-        const isDouble = pagesPerView === 2;
-        const isCover = idx === 0;
-        const isLastSingle = (idx === n - 1) && (n % 2 === 0);
+        return getFitSize(idx, getCellWidth(idx, contentWidth), contentHeight).width;
+    }
 
-        const cellW = isDouble
-            ? (isCover || isLastSingle ? contentWidth : (continuous ? Math.floor(contentWidth / 2) - 1 : contentWidth / 2))
-            : contentWidth;
+    /** Width of the slot an image occupies: half a view in a double spread, two views for a split page */
+    function getCellWidth(idx, contentWidth) {
+        if (pagesPerView === 2) {
+            if (isSoloPage(idx)) return contentWidth;
+            return continuous ? Math.floor(contentWidth / 2) - 1 : contentWidth / 2;
+        }
+        return isSplitPage(idx) ? contentWidth * 2 : contentWidth;
+    }
 
-        const ar = getAspectRatio(idx);
+    // ── Auto-crop ───────────────────────────────────────────────────────
+    // Boxes are detected by archive-util (sharp trim, cached per session) the first time a page
+    // is rendered; layout then uses the cropped aspect ratio and every sharp render extracts the box.
+    const CROP_TOLERANCES = [
+        { value: 10, label: 'Strict' },
+        { value: 25, label: 'Normal' },
+        { value: 50, label: 'Loose' },
+    ];
+    let autoCrop = getSetting('autoCrop', 'false') === 'true';
+    let cropTolerance = parseInt(getSetting('cropTolerance', '25'), 10) || 25;
+    /** imageIndex -> crop box at the current tolerance; only real boxes, see ensureCropBox */
+    const cropBoxes = new Map();
+    /** entry name -> 'on' | 'off': per-page overrides of the global auto-crop switch */
+    let cropOverrides = {};
+
+    function getCropKey() {
+        return STORAGE_PREFIX + ':crop:' + getFileKey();
+    }
 
-        let imageWidth;
-        if (!continuous) {
-            imageWidth = contentHeight * ar;
-            if (imageWidth > cellW) {
-                imageWidth = cellW;
+    function loadCropOverrides() {
+        try { cropOverrides = JSON.parse(localStorage.getItem(getCropKey()) || '{}') || {}; } catch (_) { cropOverrides = {}; }
+    }
+
+    function isCropEnabled(idx) {
+        const override = cropOverrides[imageNames[idx]];
+        return override ? override === 'on' : autoCrop;
+    }
+
+    function getCropBox(idx) {
+        return sharp && isCropEnabled(idx) ? cropBoxes.get(idx) || null : null;
+    }
+
+    /**
+     * Detect the page's crop box (needs the page extracted); resolves to the box or null.
+     * null also comes back when detection failed or the page wasn't extracted yet, so only boxes
+     * are kept here; archiveUtil caches "nothing to crop" per session, which keeps retries cheap.
+     */
+    async function ensureCropBox(idx) {
+        if (!sharp || !isCropEnabled(idx)) return null;
+        if (cropBoxes.has(idx)) return cropBoxes.get(idx);
+        const box = await archiveUtil.detectCropBox(filePath, idx, cropTolerance, getPageTransform(idx));
+        if (box) cropBoxes.set(idx, box);
+        return box;
+    }
+
+    function setAutoCrop(on) {
+        autoCrop = !!on;
+        setSetting('autoCrop', autoCrop ? 'true' : 'false');
+        rerenderPages();
+    }
+
+    function setCropTolerance(value) {
+        cropTolerance = value;
+        setSetting('cropTolerance', String(value));
+        cropBoxes.clear();
+        rerenderPages();
+    }
+
+    /** mode: 'on' | 'off' | null (follow the global switch) */
+    function setPageCropOverride(idx, mode) {
+        const name = imageNames[idx];
+        if (!name) return;
+        if (mode) cropOverrides[name] = mode;
+        else delete cropOverrides[name];
+        try {
+            if (Object.keys(cropOverrides).length) localStorage.setItem(getCropKey(), JSON.stringify(cropOverrides));
+            else localStorage.removeItem(getCropKey());
+        } catch (_) { }
+        rerenderPages();
+    }
+
+    // ── Rotate / flip ───────────────────────────────────────────────────
+    // View-only transforms are stored per archive by entry name and baked into the sharp
+    // renders like crop boxes (which are detected on the transformed page). "Save into archive"
+    // writes the transform into the entry itself, see pageTransform.bakeTransform.
+    /** entry name -> { rotate, flip } */
+    let pageTransforms = {};
+
+    function getTransformKey() {
+        return STORAGE_PREFIX + ':transform:' + getFileKey();
+    }
+
+    function loadPageTransforms() {
+        try { pageTransforms = JSON.parse(localStorage.getItem(getTransformKey()) || '{}') || {}; } catch (_) { pageTransforms = {}; }
+    }
+
+    function savePageTransforms() {
+        try {
+            if (Object.keys(pageTransforms).length) localStorage.setItem(getTransformKey(), JSON.stringify(pageTransforms));
+            else localStorage.removeItem(getTransformKey());
+        } catch (_) { }
+    }
+
+    function getPageTransform(idx) {
+        const t = sharp ? pageTransforms[imageNames[idx]] : null;
+        return t ? pageTransform.normalizeTransform(t) : pageTransform.IDENTITY;
+    }
+
+    /** Apply `change` on top of the page's current view transform */
+    function transformPage(idx, change) {
+        const name = imageNames[idx];
+        if (!name) return;
+        const next = change ? pageTransform.composeTransforms(getPageTransform(idx), change) : pageTransform.IDENTITY;
+        if (pageTransform.isIdentity(next)) delete pageTransforms[name];
+        else pageTransforms[name] = next;
+        savePageTransforms();
+        cropBoxes.delete(idx); // detected on the transformed page
+        rerenderPages();
+    }
+
+    async function saveTransformToArchive(idx) {
+        const name = imageNames[idx];
+        const t = getPageTransform(idx);
+        if (!isCBZ || !canRewriteArchive() || !name || pageTransform.isIdentity(t)) return;
+        const fs = require('fs');
+        let tmpDir = null;
+        try {
+            const result = await eagle.dialog.showMessageBox({
+                type: 'warning',
+                title: 'Rotate Page',
+                message: `Save the rotation of "${getPageLabel(idx)}" into the archive?\n\n` +
+                    'JPEG pages only get a new orientation tag; other formats are re-encoded losslessly. ' +
+                    'This cannot be undone.',
+                buttons: ['Cancel', 'Save'],
+            });
+            if (result.response !== 1) return;
+
+            const src = await archiveUtil.getImagePath(filePath, idx);
+            if (!src) throw new Error('Image not extracted');
+            tmpDir = pathModule.join(eagle.os.tmpdir(), 'eagle-cbz-rotate-' + Date.now());
+            fs.mkdirSync(tmpDir, { recursive: true });
+            const baked = await pageTransform.bakeTransform(src, pathModule.join(tmpDir, 'page'), t);
+            const names = await archiveUtil.rewriteCBZ(filePath, imageNames.map(entry => entry === name ? { entry, source: baked } : { entry }));
+
+            // The file carries the rotation now; a GIF/BMP page may have been renamed to .png
+            // (and others with it, to keep the order)
+            delete pageTransforms[name];
+            savePageTransforms();
+            renameEntryState(new Map(imageNames.map((entry, i) => [entry, names[i]]).filter(([entry, to]) => to !== entry)));
+            await reloadPages(currentIndex);
+            eagle.notification.show({ duration: 3000, title: 'Rotation Saved', body: getPageLabel(idx) });
+        } catch (err) {
+            console.error('Saving rotation failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Rotate Failed', body: err.message });
+        } finally {
+            if (tmpDir) {
+                try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
             }
+        }
+    }
+
+    function getTransformMenu(idx) {
+        const transformed = !pageTransform.isIdentity(getPageTransform(idx));
+        const items = [
+            { id: 'rotate-cw', label: 'Rotate 90° Clockwise', click: () => transformPage(idx, { rotate: 90 }) },
+            { id: 'rotate-ccw', label: 'Rotate 90° Counter-clockwise', click: () => transformPage(idx, { rotate: 270 }) },
+            { id: 'rotate-180', label: 'Rotate 180°', click: () => transformPage(idx, { rotate: 180 }) },
+            { id: 'flip', label: 'Flip Horizontally', click: () => transformPage(idx, { flip: true }) },
+        ];
+        if (transformed) {
+            items.push({ id: 'transform-reset', label: 'Reset Rotation', click: () => transformPage(idx, null) });
+            if (isCBZ && canRewriteArchive()) items.push({ id: 'transform-save', label: 'Save into Archive (permanent)…', click: () => saveTransformToArchive(idx) });
+        }
+        return { id: 'transform', label: 'Rotate / Flip', submenu: items };
+    }
+
+    function getCropMenu(idx) {
+        const check = on => (on ? '✓ ' : '    ');
+        const override = cropOverrides[imageNames[idx]];
+        const items = [
+            { id: 'crop-auto', label: check(autoCrop) + 'Auto-crop all pages', click: () => setAutoCrop(!autoCrop) },
+            isCropEnabled(idx)
+                ? { id: 'crop-page-off', label: "Don't crop this page", click: () => setPageCropOverride(idx, autoCrop ? 'off' : null) }
+                : { id: 'crop-page-on', label: 'Crop this page', click: () => setPageCropOverride(idx, autoCrop ? null : 'on') },
+        ];
+        if (override) {
+            items.push({ id: 'crop-page-reset', label: 'Reset this page to default', click: () => setPageCropOverride(idx, null) });
+        }
+        for (const t of CROP_TOLERANCES) {
+            items.push({
+                id: 'crop-tolerance-' + t.value,
+                label: check(t.value === cropTolerance) + 'Tolerance: ' + t.label,
+                click: () => setCropTolerance(t.value),
+            });
+        }
+        return { id: 'crop', label: 'Crop Borders', submenu: items };
+    }
+
+    // ── Fit modes ───────────────────────────────────────────────────────
+    /** 'page' = whole page visible, 'width' = fill the cell width, 'height' = fill the view height, 'original' = 1:1 pixels */
+    const FIT_MODES = ['page', 'width', 'height', 'original'];
+    const FIT_LABELS = { page: 'Fit', width: 'W', height: 'H', original: '1:1' };
+    const FIT_TITLES = { page: 'Fit page', width: 'Fit width', height: 'Fit height', original: 'Original size (1:1)' };
+    /** Per-archive fit mode; null = default for the view (page when paged, width when continuous) */
+    let fitMode = null;
+
+    function getFitKey() {
+        return STORAGE_PREFIX + ':fit:' + getFileKey();
+    }
+
+    function getEffectiveFitMode() {
+        return fitMode || (continuous ? 'width' : 'page');
+    }
+
+    /**
+     * Display size (CSS px) of an image in its cell for the current fit mode.
+     * Paged: the result may exceed the cell, in which case the page scrolls inside its .r-flex.
+     * Continuous: the column width is the hard limit and `scrollWidth` narrows fit-width.
+     */
+    function getFitSize(idx, cellW, cellH) {
+        const ar = getAspectRatio(idx);
+        const mode = getEffectiveFitMode();
+        let w, h;
+        const natural = getPageSize(idx);
+        if (mode === 'original' && natural && natural.width > 0) {
+            // 1:1 device pixels
+            const dpr = window.devicePixelRatio || 1;
+            w = natural.width / dpr;
+            h = natural.height / dpr;
+        } else if (mode === 'width') {
+            w = continuous ? cellW * (scrollWidth / 100) : cellW;
+            h = w / ar;
+        } else if (mode === 'height') {
+            h = cellH;
+            w = h * ar;
         } else {
-            imageWidth = cellW * (scrollWidth / 100);
+            h = cellH;
+            w = h * ar;
+            if (w > cellW) {
+                w = cellW;
+                h = w / ar;
+            }
+        }
+        if (continuous && w > cellW) {
+            w = cellW;
+            h = w / ar;
+        }
+        return { width: w, height: h };
+    }
+
+    function setFitMode(mode, persist = true) {
+        fitMode = FIT_MODES.includes(mode) ? mode : null;
+        if (persist) {
+            try {
+                if (fitMode) localStorage.setItem(getFitKey(), fitMode);
+                else localStorage.removeItem(getFitKey());
+            } catch (_) { }
+        }
+        updateFitModeButton();
+        rerenderPages();
+    }
+
+    /** Page sizes or pixels changed: drop every render and lay out again at the current position */
+    function rerenderPages() {
+        if (!readingTrack.children.length) return;
+        resetZoom();
+        purgeRenderCache();
+        disposeImages();
+        calculateView(false);
+        goToIndex(currentIndex, false);
+        preloadImagesAroundCurrent();
+    }
+
+    function updateFitModeButton() {
+        const effective = getEffectiveFitMode();
+        if (fitModeLabel) fitModeLabel.textContent = FIT_LABELS[effective];
+        if (fitModeToggle) fitModeToggle.title = FIT_TITLES[effective] + shortcutHint('fitNext', ' to cycle');
+    }
+
+    function cycleFitMode(step) {
+        const i = FIT_MODES.indexOf(getEffectiveFitMode());
+        setFitMode(FIT_MODES[(i + step + FIT_MODES.length) % FIT_MODES.length]);
+    }
+
+    /** Scroll the current view's overflowing pages (fit width / height / 1:1); false at the edge */
+    function scrollCurrentPages(deltaY) {
+        if (continuous) return false;
+        const spread = getSpreadAt(currentIndex - 1) || [];
+        const rFlexAll = readingTrack.querySelectorAll('.r-flex');
+        let scrolled = false;
+        for (const p of spread) {
+            const rFlex = rFlexAll[p.index];
+            if (!rFlex || !rFlex.classList.contains('fit-overflow')) continue;
+            const max = rFlex.scrollHeight - rFlex.clientHeight;
+            if ((deltaY > 0 && rFlex.scrollTop < max - 1) || (deltaY < 0 && rFlex.scrollTop > 0)) {
+                rFlex.scrollTop = Math.max(0, Math.min(max, rFlex.scrollTop + deltaY));
+                scrolled = true;
+            }
         }
+        return scrolled;
+    }
 
-        return imageWidth;
+    /** Entering a view: start at its top going forward, at its bottom going back */
+    function resetPageScroll(forward) {
+        if (continuous) return;
+        const spread = getSpreadAt(currentIndex - 1) || [];
+        const rFlexAll = readingTrack.querySelectorAll('.r-flex');
+        for (const p of spread) {
+            const rFlex = rFlexAll[p.index];
+            if (rFlex && rFlex.classList.contains('fit-overflow')) {
+                rFlex.scrollTop = forward ? 0 : rFlex.scrollHeight;
+            }
+        }
     }
 
     /** Set the source of an image natively, followed by a sharp downsample if applicable */
@@ -285,9 +910,21 @@
         let newBlobUrl = '';
 
         let targetWidth = 0;
+        let crop = null;
+        let transform = pageTransform.IDENTITY;
         const idxStr = img.dataset.index;
         if (idxStr !== undefined && !isNaN(parseInt(idxStr, 10))) {
-            targetWidth = getExpectedTargetWidth(parseInt(idxStr, 10));
+            const idx = parseInt(idxStr, 10);
+            transform = getPageTransform(idx);
+            if (sharp) {
+                try { crop = await ensureCropBox(idx); } catch (_) { crop = null; }
+                if (taskEpoch !== undefined && taskEpoch !== renderEpoch) return;
+            }
+            targetWidth = getExpectedTargetWidth(idx);
+            // Shown at (or above) its native size, e.g. 1:1 mode: nothing to downsample
+            const size = getPageSize(idx);
+            const natural = size && size.width;
+            if (natural && targetWidth * (window.devicePixelRatio || 1) >= natural) targetWidth = 0;
         } else {
             const wrap = img.closest('.r-img > div');
             targetWidth = wrap ? (parseInt(wrap.style.width, 10) || wrap.offsetWidth) : 0;
@@ -297,11 +934,16 @@
         let isAnimated = false;
 
         // If sharp is available and we have a valid container width, scale it down
+        // (cropped, rotated or adjusted pages always go through sharp, even when no downscale is needed)
         // We use JPEG for maximum encoding speed (vastly faster than PNG)
-        if (sharp && targetWidth > 0 && targetWidth < 3000) {
+        const scaleDown = targetWidth > 0 && targetWidth < 3000;
+        const adjustments = getAdjustments();
+        const adjust = !imageAdjust.isNeutral(adjustments);
+        const transformed = !pageTransform.isIdentity(transform);
+        if (sharp && (scaleDown || crop || adjust || transformed)) {
             try {
                 // Determine target pixel width based on device pixel ratio for crispness
-                const pxWidth = Math.round(targetWidth * (window.devicePixelRatio || 1));
+                const pxWidth = scaleDown ? Math.round(targetWidth * (window.devicePixelRatio || 1)) : 0;
 
                 // Abort if user scrolled away before sharp starts
                 if (taskEpoch !== undefined && taskEpoch !== renderEpoch) return;
@@ -309,16 +951,22 @@
                 const ext = absolutePath.substring(absolutePath.lastIndexOf('.')).toLowerCase();
                 let sh = sharp(absolutePath);
 
-                // For webp, gif, and avif, actively check if the file contains animated frames
-                if (ext === '.webp' || ext === '.gif' || ext === '.avif') {
-                    const meta = await sh.metadata();
+                // For webp, gif, and avif, actively check if the file contains animated frames;
+                // for JPEG read the EXIF orientation, which the re-encode below would otherwise drop
+                let meta = null;
+                if (ext === '.webp' || ext === '.gif' || ext === '.avif' || ext === '.jpg' || ext === '.jpeg') {
+                    meta = await sh.metadata();
                     if (meta && meta.pages > 1) {
                         isAnimated = true;
                     }
                 }
 
                 if (!isAnimated) {
-                    sh = sh.resize({ width: pxWidth, withoutEnlargement: true });
+                    const orient = pageTransform.composeTransforms(pageTransform.fromExifOrientation(meta && meta.orientation), transform);
+                    sh = pageTransform.applyTransform(sh, orient);
+                    if (crop) sh = sh.extract(crop);
+                    if (pxWidth) sh = sh.resize({ width: pxWidth, withoutEnlargement: true });
+                    if (adjust) sh = imageAdjust.applyAdjustments(sh, adjustments);
 
                     // Preserve transparency formats where applicable
                     if (ext === '.png') {
@@ -439,6 +1087,7 @@
                         scheduleDisposeAfterLoad();
                     } catch (e) {
                         console.error('Failed to load image ' + idx, e);
+                        showPagePlaceholder(idx, e && e.message);
                     }
                 });
             }
@@ -468,31 +1117,16 @@
             const rFlex = rFlexAll[i];
             if (!rFlex) continue;
 
-            const isCover = i === 0;
-            const isLastSingle = (i === n - 1) && (n % 2 === 0);
-
-            const cellW = isDouble
-                ? (isCover || isLastSingle ? contentWidth : (continuous ? Math.floor(contentWidth / 2) - 1 : contentWidth / 2))
-                : contentWidth;
-
-            const ar = getAspectRatio(i);
-
-            let imageWidth, imageHeight;
-            if (!continuous) {
-                imageHeight = contentHeight;
-                imageWidth = imageHeight * ar;
-                if (imageWidth > cellW) {
-                    imageWidth = cellW;
-                    imageHeight = imageWidth / ar;
-                }
-            } else {
-                const effW = cellW * (scrollWidth / 100);
-                imageWidth = effW;
-                imageHeight = imageWidth / ar;
-            }
+            const solo = isDouble && isSoloPage(i);
+            const cellW = getCellWidth(i, contentWidth);
+            const fit = getFitSize(i, cellW, contentHeight);
+            const imageWidth = fit.width;
+            const imageHeight = fit.height;
 
             const rImg = rFlex.querySelector('.r-img');
             if (rImg) setRImgSize(rImg, imageWidth, imageHeight);
+            // Larger than its cell in paged mode: the page scrolls inside its own box
+            rFlex.classList.toggle('fit-overflow', !continuous && (imageWidth > cellW + 0.5 || imageHeight > contentHeight + 0.5));
 
             rFlex.style.width = cellW + 'px';
             if (!continuous) {
@@ -504,11 +1138,10 @@
             }
 
             if (isDouble) {
-                const isCover = i === 0;
-                const isLastSingle = (i === n - 1) && (n % 2 === 0);
                 rFlex.classList.remove('double-left', 'double-right');
-                if (!isCover && !isLastSingle) {
-                    rFlex.classList.add(i % 2 === 1 ? 'double-left' : 'double-right');
+                if (!solo) {
+                    const sp = getSpreadPages(n, getSpreadForImage(n, i));
+                    rFlex.classList.add(sp.idx1 === i ? 'double-left' : 'double-right');
                 }
             } else {
                 rFlex.classList.remove('double-left', 'double-right');
@@ -587,29 +1220,24 @@
             // Wipe dict to rebuild row heights
             imagesFullPosition = {};
 
+            const viewH = rect.height || 1;
+
             for (let i = 0; i < n; i++) {
-                const ar = getAspectRatio(i);
                 let rowHeight = 0;
 
                 if (!isDouble) {
-                    const effW = cW * (scrollWidth / 100);
-                    rowHeight = effW / ar;
+                    rowHeight = getFitSize(i, cW, viewH).height;
                     imagesFullPosition[i] = { top: runY, center: runY + rowHeight / 2, bottom: runY + rowHeight, height: rowHeight };
                 } else {
-                    const isCover = i === 0;
-                    const isLastSole = (i === n - 1) && (n % 2 === 0);
-                    if (isCover || isLastSole) {
-                        const effW = cW * (scrollWidth / 100);
-                        rowHeight = effW / ar;
+                    if (isSoloPage(i)) {
+                        rowHeight = getFitSize(i, cW, viewH).height;
                         imagesFullPosition[i] = { top: runY, center: runY + rowHeight / 2, bottom: runY + rowHeight, height: rowHeight };
                     } else {
                         // Two images per row
                         const nextI = i + 1;
-                        const ar1 = ar;
-                        const ar2 = nextI < n ? getAspectRatio(nextI) : ar1;
-                        const effW = Math.floor((cW / 2) - 1) * (scrollWidth / 100);
-                        const h1 = effW / ar1;
-                        const h2 = effW / ar2;
+                        const halfW = Math.floor((cW / 2) - 1);
+                        const h1 = getFitSize(i, halfW, viewH).height;
+                        const h2 = nextI < n ? getFitSize(nextI, halfW, viewH).height : h1;
                         rowHeight = Math.max(h1, h2);
 
                         imagesFullPosition[i] = { top: runY, center: runY + h1 / 2, bottom: runY + h1, height: h1 };
@@ -633,8 +1261,8 @@
             readingTrack.style.direction = mangaRtl ? 'rtl' : '';
             const n = readingTrack.querySelectorAll('.r-flex').length;
             let totalW = pagesPerView === 2
-                ? (n <= 1 ? rect.width : rect.width * (1 + (n - 2) * 0.5 + (n % 2 === 1 ? 1 : 0.5)))
-                : rect.width * n;
+                ? rect.width * getSpreadCount(imageNames.length)
+                : rect.width * (isSplitActive() ? getViewTable().views.length : n);
             readingTrack.style.width = totalW + 'px';
             slideTrackTotalW = totalW;
             readingTrack.style.height = rect.height + 'px';
@@ -721,7 +1349,8 @@
             if (r0.height >= r1.height) return { height: r0.height, top: r0.top };
             return { height: r1.height, top: r1.top };
         }
-        const el = readingTrack.querySelectorAll('.r-flex')[spreadIndex0];
+        const view = getSpreadAt(spreadIndex0);
+        const el = view ? readingTrack.querySelectorAll('.r-flex')[view[0].index] : null;
         const rImg = el ? el.querySelector('.r-img') : null;
         const r = rImg ? rImg.getBoundingClientRect() : { height: 0, top: 0 };
         return { height: r.height, top: r.top };
@@ -862,16 +1491,29 @@
     }
 
     // Position save/restore
+    /** Days a saved position is kept (0 = forever); see reading-progress.js */
+    let progressExpiryDays = parseInt(getSetting('progressExpiryDays', '1'), 10) || 0;
+    /** Mirror the reading status into the Eagle item as a `reading` / `read` tag */
+    let progressTags = getSetting('progressTags', 'false') === 'true';
+    let readingStatus = progress.STATUS_UNREAD;
+    let finishedAt = 0;
+
     let savePositionTimer = 0;
     function savePositionImmediate() {
         clearTimeout(savePositionTimer);
+        if (!indexNum) return;
+        setReadingStatus(progress.nextStatus(readingStatus, currentIndex, indexNum));
         try {
             const data = {
                 pagesPerView,
                 continuous,
                 index: currentIndex,
                 spreadIndex: pagesPerView === 2 ? currentSpreadIndex() : undefined,
-                savedAt: Date.now()
+                // Image index survives spread re-pairing (wide pages, shift toggle)
+                page: getCurrentCenterImageIndex(),
+                savedAt: Date.now(),
+                status: readingStatus,
+                finishedAt: finishedAt || undefined
             };
             localStorage.setItem(getPosKey(), JSON.stringify(data));
         } catch (_) { }
@@ -881,6 +1523,69 @@
         savePositionTimer = setTimeout(savePositionImmediate, 100);
     }
 
+    /** Update the status and, when enabled, the Eagle tag mirror (only on actual changes) */
+    function setReadingStatus(status) {
+        if (status === readingStatus) return;
+        readingStatus = status;
+        finishedAt = status === progress.STATUS_READ ? Date.now() : 0;
+        if (progressTags) mirrorReadingStatus();
+    }
+
+    async function mirrorReadingStatus() {
+        if (!fileId) return;
+        try {
+            const item = await eagle.item.getById(fileId);
+            if (item) await progress.mirrorStatusTag(item, readingStatus);
+        } catch (err) {
+            console.error('Reading status tag failed:', err);
+        }
+    }
+
+    function setProgressExpiryDays(days) {
+        progressExpiryDays = days;
+        setSetting('progressExpiryDays', String(days));
+    }
+
+    function setProgressTags(on) {
+        progressTags = on;
+        setSetting('progressTags', on ? 'true' : 'false');
+        if (on) mirrorReadingStatus();
+    }
+
+    /** Explicitly mark the archive read or unread from the context menu */
+    function markReadingStatus(status) {
+        clearTimeout(savePositionTimer);
+        setReadingStatus(status);
+        try {
+            if (status === progress.STATUS_UNREAD) localStorage.removeItem(getPosKey());
+            else savePositionImmediate();
+        } catch (_) { }
+        eagle.notification.show({ duration: 2000, title: status === progress.STATUS_READ ? 'Marked as Read' : 'Marked as Unread', body: pathModule.basename(filePath) });
+    }
+
+    function getProgressMenu() {
+        const check = on => (on ? '✓ ' : '    ');
+        return {
+            id: 'progress',
+            label: 'Reading Progress',
+            submenu: [
+                readingStatus === progress.STATUS_READ
+                    ? { id: 'progress-unread', label: 'Mark as Unread', click: () => markReadingStatus(progress.STATUS_UNREAD) }
+                    : { id: 'progress-read', label: 'Mark as Read', click: () => markReadingStatus(progress.STATUS_READ) },
+                ...progress.EXPIRY_OPTIONS.map(o => ({
+                    id: 'progress-expiry-' + o.days,
+                    label: check(o.days === progressExpiryDays) + 'Keep position: ' + o.label,
+                    click: () => setProgressExpiryDays(o.days),
+                })),
+                {
+                    id: 'progress-tags',
+                    label: check(progressTags) + 'Mirror status as Eagle tag (read / reading)',
+                    click: () => setProgressTags(!progressTags),
+                },
+            ],
+        };
+    }
+
     function currentSpreadIndex() {
         if (pagesPerView !== 2) return 0;
         return Math.max(0, Math.min(currentIndex - 1, indexNum - 1));
@@ -890,13 +1595,18 @@
         try {
             const raw = localStorage.getItem(getPosKey());
             if (!raw) return;
-            const data = JSON.parse(raw);
+            let data = JSON.parse(raw);
 
-            // Automatically expire reading progress after 24 hours
-            if (data.savedAt && (Date.now() - data.savedAt > 24 * 60 * 60 * 1000)) {
-                localStorage.removeItem(getPosKey());
-                return;
+            // Expire the position per the progress setting; a finished archive stays marked as read
+            if (progress.isExpired(data, progressExpiryDays)) {
+                data = progress.applyExpiry(data, progressExpiryDays);
+                if (data) localStorage.setItem(getPosKey(), JSON.stringify(data));
+                else localStorage.removeItem(getPosKey());
             }
+            if (!data) return;
+            readingStatus = progress.getStatus(data);
+            finishedAt = data.finishedAt || 0;
+            if (typeof data.index !== 'number') return;
 
             if (typeof data.pagesPerView === 'number') pagesPerView = data.pagesPerView === 2 ? 2 : 1;
             if (typeof data.continuous === 'boolean') continuous = data.continuous;
@@ -904,35 +1614,28 @@
             else if (data.mode === 'single' || data.mode === 'double') { continuous = false; pagesPerView = data.mode === 'double' ? 2 : 1; }
             syncViewMode();
             updateIndexNum();
-            const idx = Math.max(1, Math.min(Number(data.index) || 1, indexNum));
-            currentIndex = idx;
+            let idx = Number(data.index) || 1;
+            if (typeof data.page === 'number' && data.page >= 0 && data.page < imageNames.length) {
+                idx = getViewForImage(data.page) + 1;
+            }
+            currentIndex = Math.max(1, Math.min(idx, indexNum));
         } catch (_) { }
     }
 
     // Page info & nav
     function updatePageInfo() {
         const total = imageNames.length;
-        let currentString = '';
-        if (pagesPerView === 2) {
-            const spread = getSpreadAt(currentIndex - 1);
-            if (spread && spread.length === 2)
-                currentString = (spread[0].index + 1) + '-' + (spread[1].index + 1);
-            else if (spread && spread[0])
-                currentString = (spread[0].index + 1);
-            else
-                currentString = '1';
-        } else {
-            const spread = getSpreadAt(currentIndex - 1);
-            const first = spread && spread[0];
-            currentString = first ? first.index + 1 : 1;
-        }
+        const currentString = getViewLabel(currentIndex - 1);
 
-        if (pageCurrentLabel) pageCurrentLabel.textContent = currentString;
+        // Leave the field alone while a page number is being typed into it
+        if (pageCurrentLabel && document.activeElement !== pageCurrentLabel) pageCurrentLabel.value = currentString;
         if (pageTotalLabel) pageTotalLabel.textContent = total;
         if (pageSlider) {
             pageSlider.max = indexNum || 1;
             pageSlider.value = currentIndex || 1;
         }
+        updateChapterSelect();
+        updateOverviewCurrent();
     }
 
     function getSpreadAt(spreadIndex0) {
@@ -943,8 +1646,9 @@
             if (sp.idx2 != null) out.push({ index: sp.idx2 });
             return out;
         }
-        if (spreadIndex0 < 0 || spreadIndex0 >= n) return null;
-        return [{ index: spreadIndex0 }];
+        const views = getViewTable().views;
+        if (spreadIndex0 < 0 || spreadIndex0 >= views.length) return null;
+        return [{ index: views[spreadIndex0].index, part: views[spreadIndex0].part }];
     }
 
     /** Current spread's first image index (0-based) for preload center */
@@ -1089,7 +1793,12 @@
 
     function go(delta) {
         const newIndex = Math.max(1, Math.min(currentIndex + delta, indexNum));
-        if (newIndex === currentIndex) return;
+        if (newIndex === currentIndex) {
+            // Paging on past either end offers the next / previous issue
+            if (delta !== 0 && indexNum > 0) offerAdjacentIssue(delta > 0 ? 1 : -1);
+            return;
+        }
+        hideIssuePrompt();
 
         // Reset zoom if navigating between distinct pages (not needed for continuous scrolling)
         if (haveZoom && !continuous) resetZoom();
@@ -1107,6 +1816,7 @@
 
         const anim = !continuous;
         goToIndex(newIndex, anim);
+        resetPageScroll(actualDelta > 0);
         updatePageInfo();
         updateNav();
         savePosition();
@@ -1139,6 +1849,7 @@
         modeSingle.classList.toggle('active', pagesPerView === 1);
         modeDouble.classList.toggle('active', pagesPerView === 2);
         if (continuousToggle) continuousToggle.classList.toggle('active', continuous);
+        updateFitModeButton();
         toolbar.classList.remove('scroll-mode', 'single-mode', 'double-mode');
         toolbar.classList.add(continuous ? 'scroll-mode' : (pagesPerView === 1 ? 'single-mode' : 'double-mode'));
 
@@ -1188,16 +1899,12 @@
     }
     function setPagesPerView(nVal) {
         const oldPv = pagesPerView;
+        const anchor = getCurrentCenterImageIndex();
         pagesPerView = nVal === 2 ? 2 : 1;
 
         if (oldPv !== pagesPerView) {
-            const n = imageNames.length;
-            if (pagesPerView === 2) {
-                currentIndex = getSpreadForImage(n, currentIndex - 1) + 1;
-            } else {
-                const sp = getSpreadPages(n, currentIndex - 1);
-                currentIndex = sp.idx1 + 1;
-            }
+            updateIndexNum();
+            currentIndex = getViewForImage(anchor) + 1;
         }
 
         resetZoom(); // Always wipe lingering native/transform DOM state explicitly
@@ -1206,7 +1913,13 @@
 
     function setContinuous(on) {
         const oldCont = continuous;
+        const anchor = getCurrentCenterImageIndex();
         continuous = !!on;
+        // Split half-pages only exist in paged mode
+        if (oldCont !== continuous && splitWide && pagesPerView === 1) {
+            updateIndexNum();
+            currentIndex = getViewForImage(anchor) + 1;
+        }
 
         resetZoom(); // Always wipe lingering native/transform DOM state explicitly
         applyView();
@@ -1243,9 +1956,9 @@
         if (scrollGapToggle) scrollGapToggle.title = on ? 'Gap between images (on)' : 'Gap (off)';
         readingTrack.classList.toggle('track-has-gap', scrollGap);
     }
-    function setMangaRtl(on) {
+    function setMangaRtl(on, persist = true) {
         mangaRtl = on;
-        setSetting('mangaRtl', on ? 'true' : 'false');
+        if (persist) setSetting('mangaRtl', on ? 'true' : 'false');
         if (dirLtrIcon) dirLtrIcon.classList.toggle('hide', on);
         if (dirRtlIcon) dirRtlIcon.classList.toggle('hide', !on);
         if (!continuous) {
@@ -1474,7 +2187,8 @@
                 const idx = p.index;
                 const img = readingTrack.querySelector(`.r-img-i${idx} img`);
                 if (!img || img.dataset.animated === '1') return;
-                const d = imagesData[idx];
+                const crop = getCropBox(idx);
+                const d = getPageSize(idx);
                 if (!d || !d.width) return;
 
                 const wrap = img.closest('.r-img > div');
@@ -1487,7 +2201,7 @@
                 if (targetScale <= dpr * 1.1) return;
                 const targetPixelWidth = Math.round(displayW * targetScale);
 
-                archiveUtil.renderAtScale(filePath, idx, targetPixelWidth).then(async fp => {
+                archiveUtil.renderAtScale(filePath, idx, targetPixelWidth, { crop, adjustments: getAdjustments(), transform: getPageTransform(idx) }).then(async fp => {
                     if (!fp || currentScale <= 1) return;
 
                     try {
@@ -1651,40 +2365,53 @@
     if (pageSlider) {
         pageSlider.addEventListener('input', e => {
             const val = parseInt(e.target.value, 10);
-            if (pageCurrentLabel) {
-                if (pagesPerView === 2) {
-                    const n = imageNames.length;
-                    const sp = getSpreadPages(n, val - 1);
-                    if (sp.idx2 != null) pageCurrentLabel.textContent = (sp.idx1 + 1) + '-' + (sp.idx2 + 1);
-                    else pageCurrentLabel.textContent = (sp.idx1 + 1);
-                } else {
-                    pageCurrentLabel.textContent = val;
-                }
-            }
+            showSliderPreview(val);
+            if (pageCurrentLabel) pageCurrentLabel.value = getViewLabel(val - 1);
         });
         pageSlider.addEventListener('change', e => {
             const targetIndex = parseInt(e.target.value, 10);
             const offset = targetIndex - currentIndex;
             if (offset !== 0) go(offset);
         });
+        pageSlider.addEventListener('mousemove', e => {
+            if (e.buttons) return; // dragging: 'input' already follows the thumb
+            showSliderPreview(getSliderValueAt(e.clientX));
+        });
+        pageSlider.addEventListener('mouseleave', hideSliderPreview);
+        pageSlider.addEventListener('mouseup', hideSliderPreview);
+        pageSlider.addEventListener('blur', hideSliderPreview);
     }
 
+    if (chapterSelect) chapterSelect.addEventListener('change', () => goToChapter(parseInt(chapterSelect.value, 10)));
     btnPrev.addEventListener('click', () => go(-1));
     btnNext.addEventListener('click', () => go(1));
     modeSingle.addEventListener('click', () => setPagesPerView(1));
     modeDouble.addEventListener('click', () => setPagesPerView(2));
     if (continuousToggle) continuousToggle.addEventListener('click', () => setContinuous(!continuous));
     if (scrollGapToggle) scrollGapToggle.addEventListener('click', () => setScrollGap(!scrollGap));
-    if (mangaRtlBtn) mangaRtlBtn.addEventListener('click', () => setMangaRtl(!mangaRtl));
+    if (spreadShiftToggle) spreadShiftToggle.addEventListener('click', () => setSpreadShift(!spreadShift));
+    if (fitModeToggle) fitModeToggle.addEventListener('click', () => cycleFitMode(1));
+    if (splitWideToggle) splitWideToggle.addEventListener('click', () => setSplitWide(!splitWide));
+    if (mangaRtlBtn) mangaRtlBtn.addEventListener('click', () => {
+        setMangaRtl(!mangaRtl);
+        setFileRtl(mangaRtl);
+    });
     if (scrollNavToggle) scrollNavToggle.addEventListener('click', () => setScrollNavEnabled(!scrollNavEnabled));
     if (transitionSpeedToggle) transitionSpeedToggle.addEventListener('click', () => setPageTransitionSpeed(pageTransitionMs === 0 ? 300 : 0));
 
+    /** Panels and overlays sit inside #content but must not drive page navigation */
+    function isPanelEvent(e) {
+        return !!(e.target && e.target.closest && e.target.closest('.overlay, .info-panel'));
+    }
+
     if (contentEl) {
-        contentEl.addEventListener('selectstart', e => e.preventDefault());
+        contentEl.addEventListener('selectstart', e => { if (!isPanelEvent(e)) e.preventDefault(); });
         contentEl.addEventListener('wheel', e => {
+            if (isPanelEvent(e)) return;
             if (continuous) return;
             if (!scrollNavEnabled) return;
             e.preventDefault();
+            if (!haveZoom && scrollCurrentPages(e.deltaY)) return;
             go(e.deltaY > 0 ? 1 : -1);
         }, { passive: false });
 
@@ -1693,6 +2420,7 @@
 
         // Mouse drag handlers
         contentEl.addEventListener('mousedown', e => {
+            if (isPanelEvent(e)) return;
             if (e.button === 2) {
                 // Right-click drag → zoom
                 e.preventDefault();
@@ -1886,40 +2614,2230 @@
     if (zoomInBtn) zoomInBtn.addEventListener('click', () => zoomIn());
     if (zoomOutBtn) zoomOutBtn.addEventListener('click', () => zoomOut());
     if (zoomResetBtn) zoomResetBtn.addEventListener('click', () => resetZoom());
-
-    document.addEventListener('keydown', e => {
-        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
-        if (mangaRtl && !continuous) {
-            if (e.key === 'ArrowLeft') { e.preventDefault(); go(1); }
-            if (e.key === 'ArrowRight') { e.preventDefault(); go(-1); }
-        } else {
-            if (e.key === 'ArrowLeft') { e.preventDefault(); go(-1); }
-            if (e.key === 'ArrowRight') { e.preventDefault(); go(1); }
-        }
+    if (infoToggle) infoToggle.addEventListener('click', () => toggleInfoPanel());
+    if (adjustToggle) adjustToggle.addEventListener('click', () => toggleAdjustPanel());
+    if (adjustClose) adjustClose.addEventListener('click', () => toggleAdjustPanel(false));
+    if (adjustReset) adjustReset.addEventListener('click', () => {
+        updateAdjustments(imageAdjust.DEFAULT_ADJUSTMENTS);
+        renderAdjustPanel();
     });
-
-    window.addEventListener('resize', () => {
-        if (!readingTrack.children.length) return;
-        if (haveZoom) resetZoom();
-        disposeImages();
-        calculateView(false);
-        // Both paged and continuous need to snap back to the active page after layout changes
-        goToIndex(currentIndex, false);
+    if (adjustInvert) adjustInvert.addEventListener('change', () => updateAdjustments({ invert: adjustInvert.checked }));
+    if (adjustPerArchive) adjustPerArchive.addEventListener('change', () => setArchiveAdjustments(adjustPerArchive.checked));
+    if (infoClose) infoClose.addEventListener('click', () => toggleInfoPanel(false));
+    if (infoSync) infoSync.addEventListener('click', () => syncMetadataToEagle());
+    if (bookmarksToggle) bookmarksToggle.addEventListener('click', () => toggleBookmarks());
+    if (bookmarksClose) bookmarksClose.addEventListener('click', () => toggleBookmarks(false));
+    if (bookmarksImport) bookmarksImport.addEventListener('click', () => importBookmarks());
+    if (bookmarksExport) bookmarksExport.addEventListener('click', () => exportBookmarks());
+    if (bookmarksOverlay) bookmarksOverlay.addEventListener('mousedown', e => {
+        if (e.target === bookmarksOverlay) toggleBookmarks(false); // click on the dimmed backdrop
     });
-
-    window.addEventListener('beforeunload', () => {
-        savePositionImmediate();
-        archiveUtil.cleanup(filePath);
+    if (filmstripToggle) filmstripToggle.addEventListener('click', () => setFilmstrip(!filmstripVisible));
+    if (gridToggle) gridToggle.addEventListener('click', () => toggleGrid());
+    if (gridClose) gridClose.addEventListener('click', () => toggleGrid(false));
+    if (gridOverlay) gridOverlay.addEventListener('mousedown', e => {
+        if (e.target === gridOverlay) toggleGrid(false);
     });
-
-    // ── Per-image context menu ──────────────────────────────────────────
-    const isCBZ = pathModule.extname(filePath).toLowerCase() === '.cbz';
-
-    function getImageIndexFromEvent(e) {
-        let el = e.target;
-        while (el && el !== contentEl) {
-            if (el.classList && el.classList.contains('r-flex') && el.dataset.index !== undefined) {
-                return parseInt(el.dataset.index, 10);
+    if (editClose) editClose.addEventListener('click', () => closeEditor());
+    if (editInsertEagle) editInsertEagle.addEventListener('click', () => insertFromEagle());
+    if (editInsertDisk) editInsertDisk.addEventListener('click', () => insertFromDisk());
+    if (editReplace) editReplace.addEventListener('click', () => replaceSelectedPage());
+    if (editDelete) editDelete.addEventListener('click', () => deleteSelectedPages());
+    if (editUndo) editUndo.addEventListener('click', () => undoEdit());
+    if (editSave) editSave.addEventListener('click', () => saveEdits());
+    if (optimizeClose) optimizeClose.addEventListener('click', () => closeOptimizer());
+    if (optimizeRunBtn) optimizeRunBtn.addEventListener('click', () => (optimizeRun ? cancelOptimize() : runOptimize()));
+    if (optimizeApplyBtn) optimizeApplyBtn.addEventListener('click', () => applyOptimize());
+    if (optimizeFormat) optimizeFormat.addEventListener('change', () => {
+        setSetting('optimizeFormat', optimizeFormat.value);
+        loadOptimizeOptions();
+    });
+    if (optimizeQuality) optimizeQuality.addEventListener('input', () => {
+        optimizeQualityValue.textContent = optimizeQuality.value;
+        setSetting('optimizeQuality:' + optimizeFormat.value, optimizeQuality.value);
+    });
+    if (optimizeMaxHeight) optimizeMaxHeight.addEventListener('change', () => {
+        setSetting('optimizeMaxHeight', String(Math.max(0, parseInt(optimizeMaxHeight.value, 10) || 0)));
+    });
+    if (verifyClose) verifyClose.addEventListener('click', () => closeVerifier());
+    if (verifyRunBtn) verifyRunBtn.addEventListener('click', () => {
+        if (verifyRun) verifyRun.abortToken.aborted = true;
+        else runVerify();
+    });
+    if (verifyRepairBtn) verifyRepairBtn.addEventListener('click', () => repairArchive());
+    if (errorRetry) errorRetry.addEventListener('click', () => retryOpen());
+    if (errorOpenFolder) errorOpenFolder.addEventListener('click', () => openContainingFolder());
+    if (errorVerify) errorVerify.addEventListener('click', () => openVerifier());
+    if (passwordForm) passwordForm.addEventListener('submit', e => {
+        e.preventDefault();
+        submitPassword();
+    });
+    if (passwordCancel) passwordCancel.addEventListener('click', () => cancelPassword());
+    if (issuePromptOpen) issuePromptOpen.addEventListener('click', () => openPromptedIssue());
+    if (issuePromptClose) issuePromptClose.addEventListener('click', () => hideIssuePrompt());
+    if (keysClose) keysClose.addEventListener('click', () => closeShortcuts());
+    if (keysReset) keysReset.addEventListener('click', () => resetShortcuts());
+    if (gotoForm) gotoForm.addEventListener('submit', e => {
+        e.preventDefault();
+        submitGoTo();
+    });
+    if (gotoCancel) gotoCancel.addEventListener('click', () => closeGoTo());
+    if (gotoInput) {
+        gotoInput.addEventListener('input', () => updateGoToHint());
+        gotoInput.addEventListener('keydown', e => {
+            if (e.key === 'Escape') closeGoTo();
+        });
+    }
+    if (pageCurrentLabel) {
+        pageCurrentLabel.addEventListener('focus', () => pageCurrentLabel.select());
+        pageCurrentLabel.addEventListener('keydown', e => {
+            if (e.key === 'Enter') {
+                const idx = resolvePageInput(pageCurrentLabel.value);
+                pageCurrentLabel.blur();
+                if (idx !== null) goToImage(idx);
+            } else if (e.key === 'Escape') {
+                pageCurrentLabel.blur();
+            }
+        });
+        pageCurrentLabel.addEventListener('blur', () => updatePageInfo());
+    }
+    if (passwordInput) passwordInput.addEventListener('keydown', e => {
+        if (e.key === 'Escape') cancelPassword();
+    });
+
+    document.addEventListener('keydown', e => {
+        if (keyCapture) {
+            e.preventDefault();
+            captureKey(e);
+            return;
+        }
+        if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') return;
+        // So does the shortcuts overlay: keys pressed while reading the list shouldn't page or zoom behind it
+        if (keysOverlay && !keysOverlay.classList.contains('hide')) {
+            if (e.key === 'Escape') closeShortcuts();
+            return;
+        }
+        // The page editor takes the keyboard while it is open
+        if (editPages) {
+            if (e.key === 'Escape') closeEditor();
+            else if (e.key === 'Delete' || e.key === 'Backspace') deleteSelectedPages();
+            else if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z')) undoEdit();
+            else if ((e.ctrlKey || e.metaKey) && (e.key === 'a' || e.key === 'A')) {
+                editSelection = new Set(editPages);
+                renderEditGrid();
+            } else return;
+            e.preventDefault();
+            return;
+        }
+        if (e.key === 'Escape' && gotoOverlay && !gotoOverlay.classList.contains('hide')) {
+            closeGoTo();
+            return;
+        }
+        if (e.key === 'Escape' && verifyOverlay && !verifyOverlay.classList.contains('hide')) {
+            closeVerifier();
+            return;
+        }
+        if (e.key === 'Escape' && optimizeOverlay && !optimizeOverlay.classList.contains('hide')) {
+            closeOptimizer();
+            return;
+        }
+        if (e.key === 'Escape' && gridOverlay && !gridOverlay.classList.contains('hide')) {
+            toggleGrid(false);
+            return;
+        }
+        if (e.key === 'Escape' && bookmarksOverlay && !bookmarksOverlay.classList.contains('hide')) {
+            toggleBookmarks(false);
+            return;
+        }
+        if (e.key === 'Escape' && adjustPanel && !adjustPanel.classList.contains('hide')) {
+            toggleAdjustPanel(false);
+            return;
+        }
+        if (e.key === 'Escape' && infoPanel && !infoPanel.classList.contains('hide')) {
+            toggleInfoPanel(false);
+            return;
+        }
+        if (promptedIssue && (e.key === 'Enter' || e.key === 'Escape')) {
+            e.preventDefault();
+            if (e.key === 'Enter') openPromptedIssue();
+            else hideIssuePrompt();
+            return;
+        }
+        const action = keyIndex.get(keymap.comboFromEvent(e));
+        if (action && runKeyAction(action) !== false) e.preventDefault();
+    });
+
+    function onViewportResize() {
+        if (!readingTrack.children.length) return;
+        if (haveZoom) resetZoom();
+        disposeImages();
+        calculateView(false);
+        // Both paged and continuous need to snap back to the active page after layout changes
+        goToIndex(currentIndex, false);
+    }
+    window.addEventListener('resize', onViewportResize);
+
+    /** Set when the viewer reopens on a converted copy; its state was already saved and moved */
+    let sessionReplaced = false;
+
+    window.addEventListener('beforeunload', () => {
+        // Don't resurrect progress right after "Mark as Unread"
+        if (readingStatus !== progress.STATUS_UNREAD && !sessionReplaced) savePositionImmediate();
+        archiveUtil.cleanup(filePath);
+    });
+
+    // ── Info panel (ComicInfo.xml) ──────────────────────────────────────
+    /** [label, ComicInfo key] rows shown in the info panel, in display order */
+    const INFO_FIELDS = [
+        ['Series', 'Series'],
+        ['Number', 'Number'],
+        ['Volume', 'Volume'],
+        ['Title', 'Title'],
+        ['Story arc', 'StoryArc'],
+        ['Year', 'Year'],
+        ['Writer', 'Writer'],
+        ['Penciller', 'Penciller'],
+        ['Inker', 'Inker'],
+        ['Colorist', 'Colorist'],
+        ['Letterer', 'Letterer'],
+        ['Cover', 'CoverArtist'],
+        ['Editor', 'Editor'],
+        ['Publisher', 'Publisher'],
+        ['Genre', 'Genre'],
+        ['Tags', 'Tags'],
+        ['Language', 'LanguageISO'],
+        ['Format', 'Format'],
+        ['Manga', 'Manga'],
+        ['Age rating', 'AgeRating'],
+        ['Rating', 'CommunityRating'],
+        ['Web', 'Web'],
+    ];
+
+    function getInfoHeading() {
+        const fallback = pathModule.basename(filePath, pathModule.extname(filePath));
+        if (!metadata) return fallback;
+        if (metadata.Series) {
+            let heading = metadata.Series;
+            if (metadata.Volume !== undefined) heading += ' v' + metadata.Volume;
+            if (metadata.Number) heading += ' #' + metadata.Number;
+            return heading;
+        }
+        return metadata.Title || fallback;
+    }
+
+    function renderInfoPanel() {
+        if (!infoBody) return;
+        infoBody.innerHTML = '';
+        if (infoTitle) infoTitle.textContent = getInfoHeading();
+        if (infoSync) infoSync.classList.toggle('hide', !metadata || !fileId);
+
+        if (!metadata) {
+            const empty = document.createElement('p');
+            empty.className = 'info-empty';
+            empty.textContent = 'No ComicInfo.xml in this archive.';
+            infoBody.appendChild(empty);
+            return;
+        }
+
+        const dl = document.createElement('dl');
+        for (const [label, key] of INFO_FIELDS) {
+            if (metadata[key] === undefined) continue;
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = String(metadata[key]);
+            dl.appendChild(dt);
+            dl.appendChild(dd);
+        }
+        const dtPages = document.createElement('dt');
+        dtPages.textContent = 'Pages';
+        const ddPages = document.createElement('dd');
+        ddPages.textContent = String(imageNames.length);
+        dl.appendChild(dtPages);
+        dl.appendChild(ddPages);
+        infoBody.appendChild(dl);
+
+        if (metadata.Summary) {
+            const summary = document.createElement('p');
+            summary.className = 'info-summary';
+            summary.textContent = metadata.Summary;
+            infoBody.appendChild(summary);
+        }
+
+        // Page types other than plain story pages (covers, ads, previews…)
+        const typed = (metadata.Pages || []).filter(p => p.Type && p.Type !== 'Story');
+        if (typed.length > 0) {
+            const title = document.createElement('div');
+            title.className = 'info-section-title';
+            title.textContent = 'Page types';
+            infoBody.appendChild(title);
+            const pagesDl = document.createElement('dl');
+            for (const p of typed) {
+                const dt = document.createElement('dt');
+                dt.textContent = 'Page ' + (p.Image + 1);
+                const dd = document.createElement('dd');
+                dd.textContent = p.Type + (p.DoublePage ? ' (double page)' : '');
+                pagesDl.appendChild(dt);
+                pagesDl.appendChild(dd);
+            }
+            infoBody.appendChild(pagesDl);
+        }
+    }
+
+    /** Dry-run the ComicInfo → Eagle sync, show the diff, and only write after confirmation */
+    async function syncMetadataToEagle() {
+        if (!fileId || !metadata) return;
+        if (infoSync) infoSync.disabled = true;
+        try {
+            const item = await eagle.item.getById(fileId);
+            const plan = eagleSync.buildSyncPlan(item, metadata);
+            if (!plan.hasChanges) {
+                eagle.notification.show({ duration: 3000, title: 'Metadata In Sync', body: 'Eagle item already matches ComicInfo.xml' });
+                return;
+            }
+            const result = await eagle.dialog.showMessageBox({
+                type: 'question',
+                title: 'Sync Metadata to Eagle',
+                message: `Apply ${plan.changes.length} change${plan.changes.length === 1 ? '' : 's'} to "${item.name}"?`,
+                detail: eagleSync.describeSyncPlan(plan).join('\n'),
+                buttons: ['Cancel', 'Apply'],
+            });
+            if (result.response !== 1) return;
+
+            await eagleSync.applySyncPlan(item, plan);
+            eagle.notification.show({ duration: 3000, title: 'Metadata Synced', body: item.name });
+        } catch (err) {
+            console.error('Metadata sync failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Sync Failed', body: err.message });
+        } finally {
+            if (infoSync) infoSync.disabled = false;
+        }
+    }
+
+    function toggleInfoPanel(show) {
+        if (!infoPanel) return;
+        const visible = show !== undefined ? show : infoPanel.classList.contains('hide');
+        if (visible) {
+            renderInfoPanel();
+            toggleAdjustPanel(false);
+        }
+        infoPanel.classList.toggle('hide', !visible);
+        if (infoToggle) infoToggle.classList.toggle('active', visible);
+    }
+
+    // ── Adjustments panel ───────────────────────────────────────────────
+    // Baked into the sharp renders (smartLoadImage + renderAtScale), not CSS filters,
+    // so zoomed hi-res pages keep the same look. Global values live in the 'adjustments'
+    // setting; an archive can carry its own copy that takes precedence.
+    const ADJUST_LABELS = {
+        brightness: 'Brightness',
+        contrast: 'Contrast',
+        gamma: 'Gamma',
+        saturation: 'Saturation',
+        sharpen: 'Sharpen',
+    };
+    let globalAdjustments = imageAdjust.normalizeAdjustments(safeParse(getSetting('adjustments', '')));
+    /** Per-archive override, or null to use the global values */
+    let archiveAdjustments = null;
+    let adjustCommitTimer = 0;
+
+    function safeParse(json) {
+        try { return json ? JSON.parse(json) : null; } catch (_) { return null; }
+    }
+
+    function getAdjustKey() {
+        return STORAGE_PREFIX + ':adjust:' + getFileKey();
+    }
+
+    function loadArchiveAdjustments() {
+        let raw = null;
+        try { raw = localStorage.getItem(getAdjustKey()); } catch (_) { }
+        archiveAdjustments = raw ? imageAdjust.normalizeAdjustments(safeParse(raw)) : null;
+        if (adjustToggle) adjustToggle.classList.toggle('active', !imageAdjust.isNeutral(getAdjustments()));
+    }
+
+    function getAdjustments() {
+        return archiveAdjustments || globalAdjustments;
+    }
+
+    /** Store edited values where they came from and re-render once the user pauses */
+    function updateAdjustments(changes) {
+        const next = imageAdjust.normalizeAdjustments({ ...getAdjustments(), ...changes });
+        if (archiveAdjustments) {
+            archiveAdjustments = next;
+            try { localStorage.setItem(getAdjustKey(), JSON.stringify(next)); } catch (_) { }
+        } else {
+            globalAdjustments = next;
+            setSetting('adjustments', JSON.stringify(next));
+        }
+        if (adjustToggle) adjustToggle.classList.toggle('active', !imageAdjust.isNeutral(next));
+        clearTimeout(adjustCommitTimer);
+        adjustCommitTimer = setTimeout(rerenderPages, 300);
+    }
+
+    function setArchiveAdjustments(on) {
+        if (on) {
+            archiveAdjustments = { ...getAdjustments() };
+            try { localStorage.setItem(getAdjustKey(), JSON.stringify(archiveAdjustments)); } catch (_) { }
+        } else {
+            archiveAdjustments = null;
+            try { localStorage.removeItem(getAdjustKey()); } catch (_) { }
+        }
+        renderAdjustPanel();
+        if (adjustToggle) adjustToggle.classList.toggle('active', !imageAdjust.isNeutral(getAdjustments()));
+        rerenderPages();
+    }
+
+    function formatAdjustment(key, value) {
+        if (key === 'sharpen') return value > 0 ? value.toFixed(1) : 'off';
+        if (key === 'gamma') return value.toFixed(2);
+        return Math.round(value * 100) + '%';
+    }
+
+    function renderAdjustPanel() {
+        if (!adjustControls) return;
+        const adj = getAdjustments();
+        adjustControls.innerHTML = '';
+        for (const [key, range] of Object.entries(imageAdjust.ADJUSTMENT_RANGES)) {
+            const row = document.createElement('label');
+            row.className = 'adjust-row';
+            const name = document.createElement('span');
+            name.textContent = ADJUST_LABELS[key] || key;
+            const value = document.createElement('span');
+            value.className = 'adjust-value';
+            value.textContent = formatAdjustment(key, adj[key]);
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = String(range.min);
+            input.max = String(range.max);
+            input.step = String(range.step);
+            input.value = String(adj[key]);
+            input.addEventListener('input', () => {
+                const v = parseFloat(input.value);
+                value.textContent = formatAdjustment(key, v);
+                updateAdjustments({ [key]: v });
+            });
+            // Double-click a slider to reset just that value
+            input.addEventListener('dblclick', () => {
+                input.value = String(imageAdjust.DEFAULT_ADJUSTMENTS[key]);
+                input.dispatchEvent(new Event('input'));
+            });
+            row.appendChild(name);
+            row.appendChild(value);
+            row.appendChild(input);
+            adjustControls.appendChild(row);
+        }
+        if (adjustInvert) adjustInvert.checked = adj.invert;
+        if (adjustPerArchive) adjustPerArchive.checked = !!archiveAdjustments;
+    }
+
+    function toggleAdjustPanel(show) {
+        if (!adjustPanel) return;
+        const visible = show !== undefined ? show : adjustPanel.classList.contains('hide');
+        if (visible) {
+            renderAdjustPanel();
+            toggleInfoPanel(false);
+        }
+        adjustPanel.classList.toggle('hide', !visible);
+    }
+
+    // ── Bookmarks ───────────────────────────────────────────────────────
+    // Stored per archive (same key as the reading position) as
+    // [{ page, entry, name, createdAt }] – `entry` re-anchors the page index if pages are removed.
+    let bookmarks = [];
+
+    function getBookmarksKey() {
+        return STORAGE_PREFIX + ':bookmarks:' + getFileKey();
+    }
+
+    function loadBookmarks() {
+        try {
+            const raw = localStorage.getItem(getBookmarksKey());
+            const list = raw ? JSON.parse(raw) : [];
+            bookmarks = (Array.isArray(list) ? list : [])
+                .map(b => {
+                    const byEntry = b.entry ? imageNames.indexOf(b.entry) : -1;
+                    return { ...b, page: byEntry >= 0 ? byEntry : Number(b.page) };
+                })
+                .filter(b => Number.isInteger(b.page) && b.page >= 0 && b.page < imageNames.length);
+        } catch (_) {
+            bookmarks = [];
+        }
+    }
+
+    function saveBookmarks() {
+        bookmarks.sort((a, b) => a.page - b.page);
+        try { localStorage.setItem(getBookmarksKey(), JSON.stringify(bookmarks)); } catch (_) { }
+        if (bookmarksToggle) bookmarksToggle.classList.toggle('active', bookmarks.length > 0);
+    }
+
+    function findBookmark(idx) {
+        return bookmarks.find(b => b.page === idx) || null;
+    }
+
+    /** Bookmark a page and open the list with its name field focused for renaming */
+    function addBookmark(idx) {
+        if (idx < 0 || idx >= imageNames.length) return;
+        if (!findBookmark(idx)) {
+            bookmarks.push({ page: idx, entry: imageNames[idx], name: 'Page ' + (idx + 1), createdAt: Date.now() });
+            saveBookmarks();
+        }
+        toggleBookmarks(true, idx);
+    }
+
+    function removeBookmark(idx) {
+        bookmarks = bookmarks.filter(b => b.page !== idx);
+        saveBookmarks();
+        if (bookmarksOverlay && !bookmarksOverlay.classList.contains('hide')) renderBookmarks();
+    }
+
+    /** Navigate to the view containing a 0-based image index */
+    function goToImage(imageIndex0) {
+        const target = getViewForImage(imageIndex0) + 1;
+        if (target !== currentIndex) go(target - currentIndex);
+    }
+
+    function renderBookmarks(focusPage) {
+        if (!bookmarksList) return;
+        bookmarksList.innerHTML = '';
+        if (bookmarks.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'overlay-empty';
+            empty.textContent = 'No bookmarks yet. Press B or right-click a page to add one.';
+            bookmarksList.appendChild(empty);
+            return;
+        }
+
+        const thumbs = new Map();
+        let focusInput = null;
+        for (const b of bookmarks) {
+            const card = document.createElement('div');
+            card.className = 'bookmark-card' + (b.page === focusPage ? ' focused' : '');
+            card.title = getPageLabel(b.page);
+
+            const thumb = document.createElement('img');
+            thumb.className = 'bookmark-thumb';
+            thumb.alt = '';
+            thumbs.set(b.page, thumb);
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.value = b.name || '';
+            nameInput.spellcheck = false;
+            nameInput.addEventListener('click', e => e.stopPropagation());
+            nameInput.addEventListener('change', () => {
+                b.name = nameInput.value.trim() || 'Page ' + (b.page + 1);
+                saveBookmarks();
+            });
+            nameInput.addEventListener('keydown', e => {
+                if (e.key === 'Enter' || e.key === 'Escape') nameInput.blur();
+            });
+            if (b.page === focusPage) focusInput = nameInput;
+
+            const pageLabel = document.createElement('div');
+            pageLabel.className = 'bookmark-page';
+            pageLabel.textContent = 'p. ' + (b.page + 1);
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'bookmark-remove';
+            removeBtn.title = 'Remove bookmark';
+            removeBtn.innerHTML = '<svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>';
+            removeBtn.addEventListener('click', e => {
+                e.stopPropagation();
+                removeBookmark(b.page);
+            });
+
+            card.addEventListener('click', () => {
+                toggleBookmarks(false);
+                goToImage(b.page);
+            });
+
+            card.appendChild(thumb);
+            card.appendChild(nameInput);
+            card.appendChild(pageLabel);
+            card.appendChild(removeBtn);
+            bookmarksList.appendChild(card);
+        }
+
+        if (focusInput) {
+            focusInput.focus();
+            focusInput.select();
+            focusInput.scrollIntoView({ block: 'nearest' });
+        }
+
+        const thumbWidth = Math.round(160 * (window.devicePixelRatio || 1));
+        archiveUtil.getThumbnails(filePath, [...thumbs.keys()], thumbWidth).then(paths => {
+            for (const [idx, fp] of paths) {
+                const img = thumbs.get(idx);
+                if (img) img.src = 'file:///' + fp.replace(/\\/g, '/');
+            }
+        }).catch(err => console.error('Bookmark thumbnails failed:', err));
+    }
+
+    function toggleBookmarks(show, focusPage) {
+        if (!bookmarksOverlay) return;
+        const visible = show !== undefined ? show : bookmarksOverlay.classList.contains('hide');
+        if (visible) renderBookmarks(focusPage);
+        bookmarksOverlay.classList.toggle('hide', !visible);
+    }
+
+    async function exportBookmarks() {
+        try {
+            const archiveName = pathModule.basename(filePath, pathModule.extname(filePath));
+            const res = await eagle.dialog.showSaveDialog({
+                title: 'Export Bookmarks',
+                defaultPath: archiveName + '.bookmarks.json',
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+            });
+            const savePath = typeof res === 'string' ? res : (res && res.filePath);
+            if (!savePath) return;
+            const data = {
+                archive: pathModule.basename(filePath),
+                bookmarks: bookmarks.map(b => ({ page: b.page + 1, entry: b.entry, name: b.name, createdAt: b.createdAt })),
+            };
+            require('fs').writeFileSync(savePath, JSON.stringify(data, null, 2));
+            eagle.notification.show({ duration: 3000, title: 'Bookmarks Exported', body: bookmarks.length + ' bookmarks' });
+        } catch (err) {
+            console.error('Export bookmarks failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Export Failed', body: err.message });
+        }
+    }
+
+    /** Merge bookmarks from an exported JSON file (pages are 1-based in the file) */
+    async function importBookmarks() {
+        try {
+            const res = await eagle.dialog.showOpenDialog({
+                title: 'Import Bookmarks',
+                properties: ['openFile'],
+                filters: [{ name: 'JSON', extensions: ['json'] }],
+            });
+            const openPath = res && res.filePaths ? res.filePaths[0] : (Array.isArray(res) ? res[0] : null);
+            if (!openPath) return;
+            const data = JSON.parse(require('fs').readFileSync(openPath, 'utf8'));
+            const list = Array.isArray(data) ? data : (data && data.bookmarks);
+            if (!Array.isArray(list)) throw new Error('Not a bookmarks file');
+
+            let added = 0;
+            for (const b of list) {
+                const byEntry = b.entry ? imageNames.indexOf(b.entry) : -1;
+                const page = byEntry >= 0 ? byEntry : Number(b.page) - 1;
+                if (!Number.isInteger(page) || page < 0 || page >= imageNames.length) continue;
+                const existing = findBookmark(page);
+                if (existing) {
+                    if (b.name) existing.name = String(b.name);
+                    continue;
+                }
+                bookmarks.push({
+                    page,
+                    entry: imageNames[page],
+                    name: b.name ? String(b.name) : 'Page ' + (page + 1),
+                    createdAt: Number(b.createdAt) || Date.now(),
+                });
+                added++;
+            }
+            saveBookmarks();
+            renderBookmarks();
+            eagle.notification.show({ duration: 3000, title: 'Bookmarks Imported', body: added + ' added' });
+        } catch (err) {
+            console.error('Import bookmarks failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Import Failed', body: err.message });
+        }
+    }
+
+    // ── Chapters ────────────────────────────────────────────────────────
+    // One per nested archive or folder, see archiveUtil.getChapters. The toolbar select
+    // only shows up when there are at least two.
+    let chapters = [];
+
+    async function loadChapters() {
+        chapters = await archiveUtil.getChapters(filePath).catch(() => []);
+        if (!chapterSelect) return;
+        chapterSelect.innerHTML = '';
+        chapters.forEach((chapter, i) => {
+            const option = document.createElement('option');
+            option.value = String(i);
+            option.textContent = chapter.title;
+            chapterSelect.appendChild(option);
+        });
+        chapterSelect.classList.toggle('hide', chapters.length < 2);
+        updateChapterSelect();
+    }
+
+    /** Index into `chapters` for a 0-based image index, or -1 */
+    function getChapterIndex(imageIndex0) {
+        for (let i = chapters.length - 1; i >= 0; i--) {
+            if (imageIndex0 >= chapters[i].start) return i;
+        }
+        return -1;
+    }
+
+    function updateChapterSelect() {
+        if (!chapterSelect || chapters.length < 2) return;
+        const i = getChapterIndex(getCurrentCenterImageIndex());
+        if (i < 0) return;
+        const chapter = chapters[i];
+        chapterSelect.value = String(i);
+        chapterSelect.title = `${chapter.title} (pages ${chapter.start + 1}–${chapter.start + chapter.count})`;
+    }
+
+    function goToChapter(i) {
+        if (chapters[i]) goToImage(chapters[i].start);
+        if (chapterSelect) chapterSelect.blur();
+    }
+
+    /** Pages come from archives inside the archive, which the rewrite tools can't edit */
+    function hasNestedChapters() {
+        return chapters.some(c => c.archive);
+    }
+
+    /**
+     * Whether the tools that rewrite the archive (remove, edit, optimize, saved rotation) may run:
+     * they read through yauzl or convert to a plain CBZ, so encrypted archives and pages inside
+     * nested archives are left as they are
+     */
+    function canRewriteArchive() {
+        return !archiveEncrypted && !hasNestedChapters();
+    }
+
+    // ── Go to page ──────────────────────────────────────────────────────
+    // The toolbar's page counter is an input, and G opens a dialog; both take the same syntax.
+    // goToImage lands on the view holding the page, which in double mode is the spread
+    // getSpreadForImage puts it in (page 5 of spread 4-5 shows 4-5).
+
+    /**
+     * 0-based image index for "37" (page), "+10" / "-5" (pages from the current view) or "50%".
+     * @returns {number|null} clamped to the archive; null when the text is none of those
+     */
+    function resolvePageInput(text) {
+        const total = imageNames.length;
+        const str = String(text || '').replace(/\s+/g, '');
+        if (!total || !str) return null;
+        const percent = str.match(/^(\d+(?:\.\d+)?)%$/);
+        const relative = str.match(/^([+-])(\d+)$/);
+        let idx;
+        if (percent) {
+            idx = Math.round((total - 1) * Math.min(100, parseFloat(percent[1])) / 100);
+        } else if (relative) {
+            // Count from the far side of the current spread, so "+1" always leaves it
+            const spread = getSpreadAt(currentIndex - 1) || [{ index: 0 }];
+            const forward = relative[1] === '+';
+            const from = forward ? spread[spread.length - 1].index : spread[0].index;
+            idx = from + (forward ? 1 : -1) * parseInt(relative[2], 10);
+        } else if (/^\d+$/.test(str)) {
+            idx = parseInt(str, 10) - 1;
+        } else {
+            return null;
+        }
+        return Math.max(0, Math.min(total - 1, idx));
+    }
+
+    function openGoTo() {
+        if (!gotoOverlay) {
+            if (pageCurrentLabel) pageCurrentLabel.focus();
+            return;
+        }
+        gotoInput.value = '';
+        gotoError.textContent = '';
+        updateGoToHint();
+        gotoOverlay.classList.remove('hide');
+        gotoInput.focus();
+    }
+
+    function closeGoTo() {
+        if (gotoOverlay) gotoOverlay.classList.add('hide');
+    }
+
+    /** Where the typed text leads, or where we are now */
+    function updateGoToHint() {
+        const idx = resolvePageInput(gotoInput.value);
+        gotoError.textContent = '';
+        if (idx === null) {
+            gotoHint.textContent = `Now on page ${getViewLabel(currentIndex - 1)} of ${imageNames.length}`;
+            return;
+        }
+        const label = getViewLabel(getViewForImage(idx));
+        gotoHint.textContent = (label.includes('-') ? 'Goes to pages ' : 'Goes to page ') + label;
+    }
+
+    function submitGoTo() {
+        const idx = resolvePageInput(gotoInput.value);
+        if (idx === null) {
+            gotoError.textContent = 'Enter a page number, +N / -N or a percentage.';
+            gotoInput.select();
+            return;
+        }
+        closeGoTo();
+        goToImage(idx);
+    }
+
+    // ── Page overview (filmstrip + grid) ────────────────────────────────
+    // Tiles are built once per container and filled lazily: an IntersectionObserver tracks
+    // which tiles are visible and a low-priority renderQueue task renders them in small batches
+    // through getThumbnails(), which never touches the reading window.
+    const THUMB_CSS_WIDTH = 160;
+    const THUMB_BATCH = 12;
+    /** Below every page render (those use 2000 - distance) */
+    const THUMB_PRIORITY = -100000;
+    let filmstripVisible = getSetting('filmstrip', 'false') === 'true';
+    /** imageIndex -> file:/// URL of its rendered thumbnail */
+    const thumbUrls = new Map();
+    /** Visible tile indices per container, so scrolling one doesn't cancel the other's requests */
+    const visibleThumbs = new Map();
+    const thumbObservers = new Map();
+
+    function buildPageTiles(container) {
+        if (!container || container.childElementCount === imageNames.length) return;
+        container.innerHTML = '';
+        const visible = new Set();
+        visibleThumbs.set(container, visible);
+        if (thumbObservers.has(container)) thumbObservers.get(container).disconnect();
+        const observer = new IntersectionObserver(entries => {
+            for (const e of entries) {
+                const idx = parseInt(e.target.dataset.index, 10);
+                if (e.isIntersecting) visible.add(idx);
+                else visible.delete(idx);
+            }
+            scheduleThumbBatch();
+        }, { root: container, rootMargin: '200px', threshold: 0 });
+        thumbObservers.set(container, observer);
+
+        for (let i = 0; i < imageNames.length; i++) {
+            const tile = document.createElement('div');
+            tile.className = 'page-tile';
+            tile.dataset.index = String(i);
+            tile.title = getPageLabel(i);
+            const img = document.createElement('img');
+            img.alt = '';
+            img.decoding = 'async';
+            if (thumbUrls.has(i)) img.src = thumbUrls.get(i);
+            const num = document.createElement('span');
+            num.className = 'page-tile-num';
+            num.textContent = String(i + 1);
+            tile.appendChild(img);
+            tile.appendChild(num);
+            tile.addEventListener('click', () => {
+                if (container === pageGrid) toggleGrid(false);
+                goToImage(i);
+            });
+            container.appendChild(tile);
+            observer.observe(tile);
+        }
+        updateOverviewCurrent();
+    }
+
+    function scheduleThumbBatch() {
+        renderQueue.add(THUMB_PRIORITY, 'thumbs', async () => {
+            const wanted = [];
+            for (const set of visibleThumbs.values()) {
+                for (const idx of set) {
+                    if (!thumbUrls.has(idx) && !wanted.includes(idx)) wanted.push(idx);
+                }
+            }
+            if (wanted.length === 0) return;
+            const center = getCurrentCenterImageIndex();
+            wanted.sort((a, b) => Math.abs(a - center) - Math.abs(b - center));
+            const batch = wanted.slice(0, THUMB_BATCH);
+            try {
+                const urls = await loadThumbUrls(batch);
+                for (const [idx, url] of urls) {
+                    for (const container of visibleThumbs.keys()) {
+                        const img = container.querySelector('.page-tile[data-index="' + idx + '"] img');
+                        if (img && !img.src) img.src = url;
+                    }
+                }
+            } catch (err) {
+                console.error('Thumbnail batch failed:', err);
+                return;
+            }
+            if (wanted.length > batch.length) setTimeout(scheduleThumbBatch, 0);
+        });
+    }
+
+    /** Highlight the tiles of the current spread and keep the filmstrip scrolled to them */
+    function updateOverviewCurrent() {
+        const spread = getSpreadAt(currentIndex - 1) || [];
+        const current = new Set(spread.map(p => p.index));
+        for (const container of [filmstripEl, pageGrid]) {
+            if (!container || container.childElementCount === 0) continue;
+            container.querySelectorAll('.page-tile.current').forEach(t => {
+                if (!current.has(parseInt(t.dataset.index, 10))) t.classList.remove('current');
+            });
+            for (const idx of current) {
+                const tile = container.children[idx];
+                if (tile) tile.classList.add('current');
+            }
+        }
+        if (filmstripVisible && filmstripEl && spread[0]) {
+            const tile = filmstripEl.children[spread[0].index];
+            if (tile) tile.scrollIntoView({ block: 'nearest', inline: 'center' });
+        }
+        // Thumbnail tasks queued under an older render epoch were dropped; re-queue for what is still visible
+        scheduleThumbBatch();
+    }
+
+    /** Resolve thumbnail URLs for image indices, rendering only the ones not cached yet */
+    async function loadThumbUrls(indices) {
+        const missing = indices.filter(i => !thumbUrls.has(i));
+        if (missing.length > 0) {
+            const width = Math.round(THUMB_CSS_WIDTH * (window.devicePixelRatio || 1));
+            const paths = await archiveUtil.getThumbnails(filePath, missing, width);
+            for (const [idx, fp] of paths) thumbUrls.set(idx, 'file:///' + fp.replace(/\\/g, '/'));
+        }
+        const out = new Map();
+        for (const i of indices) if (thumbUrls.has(i)) out.set(i, thumbUrls.get(i));
+        return out;
+    }
+
+    function setFilmstrip(on) {
+        filmstripVisible = on;
+        setSetting('filmstrip', on ? 'true' : 'false');
+        if (filmstripToggle) filmstripToggle.classList.toggle('active', on);
+        if (!filmstripEl) return;
+        if (on) buildPageTiles(filmstripEl);
+        filmstripEl.classList.toggle('hide', !on);
+        // The reading area just changed height
+        onViewportResize();
+        if (on) updateOverviewCurrent();
+    }
+
+    function toggleGrid(show) {
+        if (!gridOverlay) return;
+        const visible = show !== undefined ? show : gridOverlay.classList.contains('hide');
+        gridOverlay.classList.toggle('hide', !visible);
+        if (!visible) return;
+        if (gridTitle) gridTitle.textContent = imageNames.length + ' pages';
+        buildPageTiles(pageGrid);
+        const spread = getSpreadAt(currentIndex - 1);
+        const tile = spread && spread[0] ? pageGrid.children[spread[0].index] : null;
+        if (tile) tile.scrollIntoView({ block: 'center' });
+    }
+
+    // ── Page editing (CBZ) ──────────────────────────────────────────────
+    // Edits are made on a working list and only written on Save, as one rewriteCBZ pass.
+    // A page is { entry, index } while it is the archive's own image, or carries `source`
+    // (a file on disk) once inserted or replaced. Page objects are never mutated, so undo
+    // can simply restore earlier arrays.
+    const EDIT_IMAGE_EXT = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp', 'avif'];
+    /** Working page list while the editor is open, else null */
+    let editPages = null;
+    /** Earlier versions of editPages, newest last */
+    let editHistory = [];
+    /** Selected page objects */
+    let editSelection = new Set();
+    /** Anchor for Shift+click range selection */
+    let editAnchor = null;
+    let editSaving = false;
+
+    function openEditor() {
+        if (!isCBZ || !editOverlay) return;
+        editPages = imageNames.map((entry, index) => ({ entry, index }));
+        editHistory = [];
+        editSelection = new Set();
+        editAnchor = null;
+        toggleGrid(false);
+        editOverlay.classList.remove('hide');
+        renderEditGrid();
+        const spread = getSpreadAt(currentIndex - 1);
+        const tile = spread && spread[0] ? editGrid.children[spread[0].index] : null;
+        if (tile) tile.scrollIntoView({ block: 'center' });
+    }
+
+    async function closeEditor() {
+        if (!editPages || editSaving) return;
+        if (editHistory.length > 0) {
+            const result = await eagle.dialog.showMessageBox({
+                type: 'warning',
+                title: 'Edit Pages',
+                message: 'Discard your unsaved page changes?',
+                buttons: ['Keep Editing', 'Discard'],
+            });
+            if (result.response !== 1) return;
+        }
+        editPages = null;
+        editHistory = [];
+        editSelection.clear();
+        visibleThumbs.delete(editGrid);
+        if (thumbObservers.has(editGrid)) thumbObservers.get(editGrid).disconnect();
+        editGrid.innerHTML = '';
+        editOverlay.classList.add('hide');
+    }
+
+    /** Record the current list for undo, then switch to `next` */
+    function commitEdit(next, selection) {
+        editHistory.push(editPages);
+        editPages = next;
+        editSelection = new Set(selection || []);
+        editAnchor = null;
+        renderEditGrid();
+    }
+
+    function undoEdit() {
+        if (editHistory.length === 0) return;
+        editPages = editHistory.pop();
+        editSelection = new Set([...editSelection].filter(p => editPages.includes(p)));
+        renderEditGrid();
+    }
+
+    function renderEditGrid() {
+        const scrollTop = editGrid.scrollTop;
+        editGrid.innerHTML = '';
+        const visible = new Set();
+        visibleThumbs.set(editGrid, visible);
+        if (thumbObservers.has(editGrid)) thumbObservers.get(editGrid).disconnect();
+        // Archive pages share the overview thumbnails (scheduleThumbBatch fills tiles by data-index)
+        const observer = new IntersectionObserver(entries => {
+            for (const e of entries) {
+                const idx = parseInt(e.target.dataset.index, 10);
+                if (e.isIntersecting) visible.add(idx);
+                else visible.delete(idx);
+            }
+            scheduleThumbBatch();
+        }, { root: editGrid, rootMargin: '200px', threshold: 0 });
+        thumbObservers.set(editGrid, observer);
+
+        editPages.forEach((page, pos) => {
+            const tile = document.createElement('div');
+            tile.className = 'page-tile' + (editSelection.has(page) ? ' selected' : '');
+            tile.draggable = true;
+            tile.title = page.source ? pathModule.basename(page.source) : page.entry;
+            const img = document.createElement('img');
+            img.alt = '';
+            img.decoding = 'async';
+            img.draggable = false;
+            if (page.source) {
+                img.src = 'file:///' + page.source.replace(/\\/g, '/');
+            } else {
+                tile.dataset.index = String(page.index);
+                if (thumbUrls.has(page.index)) img.src = thumbUrls.get(page.index);
+            }
+            const num = document.createElement('span');
+            num.className = 'page-tile-num';
+            num.textContent = String(pos + 1);
+            tile.appendChild(img);
+            tile.appendChild(num);
+            if (page.source) {
+                const badge = document.createElement('span');
+                badge.className = 'page-tile-badge';
+                badge.textContent = page.entry ? 'replaced' : 'new';
+                tile.appendChild(badge);
+            }
+
+            tile.addEventListener('click', e => selectEditPage(page, e));
+            tile.addEventListener('dragstart', e => {
+                if (!editSelection.has(page)) {
+                    editSelection = new Set([page]);
+                    editGrid.querySelectorAll('.page-tile.selected').forEach(t => t.classList.remove('selected'));
+                    tile.classList.add('selected');
+                }
+                tile.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', String(pos));
+            });
+            tile.addEventListener('dragend', () => {
+                tile.classList.remove('dragging');
+                clearDropMarkers();
+            });
+            tile.addEventListener('dragover', e => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                const after = isDropAfter(tile, e);
+                clearDropMarkers();
+                tile.classList.add(after ? 'drop-after' : 'drop-before');
+            });
+            tile.addEventListener('dragleave', () => tile.classList.remove('drop-before', 'drop-after'));
+            tile.addEventListener('drop', e => {
+                e.preventDefault();
+                clearDropMarkers();
+                moveSelectedPages(pos + (isDropAfter(tile, e) ? 1 : 0));
+            });
+
+            editGrid.appendChild(tile);
+            if (!page.source) observer.observe(tile);
+        });
+        editGrid.scrollTop = scrollTop;
+        updateEditActions();
+    }
+
+    function isDropAfter(tile, e) {
+        const rect = tile.getBoundingClientRect();
+        return e.clientX > rect.left + rect.width / 2;
+    }
+
+    function clearDropMarkers() {
+        editGrid.querySelectorAll('.drop-before, .drop-after').forEach(t => t.classList.remove('drop-before', 'drop-after'));
+    }
+
+    function updateEditActions() {
+        const count = editSelection.size;
+        const changed = editHistory.length > 0;
+        if (editTitle) {
+            editTitle.textContent = editPages.length + ' pages' + (count ? ' · ' + count + ' selected' : '') + (changed ? ' · unsaved' : '');
+        }
+        if (editReplace) editReplace.disabled = count !== 1;
+        if (editDelete) editDelete.disabled = count === 0 || count >= editPages.length;
+        if (editUndo) editUndo.disabled = !changed;
+        if (editSave) editSave.disabled = !changed || editSaving;
+    }
+
+    /** Click selects one page; Ctrl/Cmd+click toggles, Shift+click extends from the last clicked page */
+    function selectEditPage(page, e) {
+        if (e.shiftKey && editAnchor && editPages.includes(editAnchor)) {
+            const a = editPages.indexOf(editAnchor);
+            const b = editPages.indexOf(page);
+            editSelection = new Set(editPages.slice(Math.min(a, b), Math.max(a, b) + 1));
+        } else if (e.ctrlKey || e.metaKey) {
+            if (editSelection.has(page)) editSelection.delete(page);
+            else editSelection.add(page);
+            editAnchor = page;
+        } else {
+            editSelection = new Set([page]);
+            editAnchor = page;
+        }
+        editPages.forEach((p, pos) => {
+            const tile = editGrid.children[pos];
+            if (tile) tile.classList.toggle('selected', editSelection.has(p));
+        });
+        updateEditActions();
+    }
+
+    /** Move the selected pages (kept in their current order) so they start at `target` */
+    function moveSelectedPages(target) {
+        const moving = editPages.filter(p => editSelection.has(p));
+        if (moving.length === 0) return;
+        const before = editPages.slice(0, target).filter(p => !editSelection.has(p));
+        const after = editPages.slice(target).filter(p => !editSelection.has(p));
+        const next = before.concat(moving, after);
+        if (next.every((p, i) => p === editPages[i])) return;
+        commitEdit(next, moving);
+    }
+
+    /** Insert image files after the last selected page (or at the end) */
+    function insertEditSources(sources) {
+        const files = sources.filter(fp => EDIT_IMAGE_EXT.includes(pathModule.extname(fp).slice(1).toLowerCase()));
+        if (files.length === 0) return;
+        const selectedPositions = editPages.map((p, i) => editSelection.has(p) ? i : -1).filter(i => i >= 0);
+        const at = selectedPositions.length ? Math.max(...selectedPositions) + 1 : editPages.length;
+        const added = files.map(source => ({ source }));
+        commitEdit(editPages.slice(0, at).concat(added, editPages.slice(at)), added);
+    }
+
+    async function pickImageFiles(title, multiple) {
+        const res = await eagle.dialog.showOpenDialog({
+            title,
+            properties: multiple ? ['openFile', 'multiSelections'] : ['openFile'],
+            filters: [{ name: 'Images', extensions: EDIT_IMAGE_EXT }],
+        });
+        return res && res.filePaths ? res.filePaths : (Array.isArray(res) ? res : []);
+    }
+
+    async function insertFromEagle() {
+        try {
+            const selected = await eagle.item.getSelected();
+            const files = selected
+                .filter(item => EDIT_IMAGE_EXT.includes((item.ext || '').toLowerCase()))
+                .map(item => item.filePath);
+            if (files.length === 0) {
+                eagle.notification.show({ duration: 3000, title: 'Nothing to Insert', body: 'Select images in Eagle first' });
+                return;
+            }
+            insertEditSources(files);
+        } catch (err) {
+            console.error('Insert failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Insert Failed', body: err.message });
+        }
+    }
+
+    async function insertFromDisk() {
+        try {
+            insertEditSources(await pickImageFiles('Insert Pages', true));
+        } catch (err) {
+            console.error('Insert failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Insert Failed', body: err.message });
+        }
+    }
+
+    async function replaceSelectedPage() {
+        if (editSelection.size !== 1) return;
+        const page = [...editSelection][0];
+        try {
+            const [source] = await pickImageFiles('Replace Page', false);
+            if (!source) return;
+            // A replaced page keeps its entry name (and so its place in the archive)
+            const replacement = { entry: page.entry, index: page.index, source };
+            commitEdit(editPages.map(p => p === page ? replacement : p), [replacement]);
+        } catch (err) {
+            console.error('Replace failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Replace Failed', body: err.message });
+        }
+    }
+
+    function deleteSelectedPages() {
+        if (editSelection.size === 0 || editSelection.size >= editPages.length) return;
+        commitEdit(editPages.filter(p => !editSelection.has(p)));
+    }
+
+    async function saveEdits() {
+        if (!editPages || editHistory.length === 0 || editSaving) return;
+        const removed = imageNames.length - new Set(editPages.filter(p => p.entry).map(p => p.index)).size;
+        const added = editPages.filter(p => !p.entry).length;
+        const replaced = editPages.filter(p => p.entry && p.source).length;
+        const summary = [
+            added ? added + ' inserted' : '',
+            replaced ? replaced + ' replaced' : '',
+            removed ? removed + ' deleted' : '',
+        ].filter(Boolean).join(', ');
+        const result = await eagle.dialog.showMessageBox({
+            type: 'warning',
+            title: 'Edit Pages',
+            message: `Save page changes to the archive?${summary ? ' (' + summary + ')' : ''}\n\nThis cannot be undone.`,
+            buttons: ['Cancel', 'Save'],
+        });
+        if (result.response !== 1) return;
+
+        editSaving = true;
+        updateEditActions();
+        try {
+            // Keep the reader on the page it was showing, wherever that page ended up
+            const currentImage = getCurrentCenterImageIndex();
+            const newPos = editPages.findIndex(p => !p.source && p.index === currentImage);
+            const names = await archiveUtil.rewriteCBZ(filePath, editPages.map(p => ({ entry: p.entry, source: p.source })));
+            // Pages that had to be renamed to keep the new order take their transforms and bookmarks along
+            const renames = new Map();
+            editPages.forEach((p, i) => {
+                if (p.entry && !p.source && names[i] !== p.entry) renames.set(p.entry, names[i]);
+            });
+            renameEntryState(renames);
+            metadata = await archiveUtil.getMetadata(filePath).catch(() => null);
+            editHistory = [];
+            editSaving = false;
+            await closeEditor();
+            if (await reloadPages(currentIndex) && newPos >= 0) goToImage(newPos);
+            eagle.notification.show({ duration: 3000, title: 'Pages Saved', body: summary || pathModule.basename(filePath) });
+        } catch (err) {
+            console.error('Saving page edits failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Save Failed', body: err.message });
+        } finally {
+            editSaving = false;
+            if (editPages) updateEditActions();
+        }
+    }
+
+    // ── Optimize archive (CBZ) ──────────────────────────────────────────
+    // archiveUtil.optimizeCBZ writes a re-encoded copy to the temp folder; the report
+    // (sizes + SSIM per page) is shown before anything touches the original, which is only
+    // replaced when the user accepts. Closing the overlay discards the copy.
+    /** SSIM below this is flagged in the report */
+    const OPTIMIZE_LOW_SSIM = 0.95;
+    /** { abortToken } while optimizeCBZ runs, else null */
+    let optimizeRun = null;
+    /** { outPath, report } once a run finished and awaits Replace / discard */
+    let optimizeResult = null;
+
+    function openOptimizer() {
+        if (!isCBZ || !sharp || !optimizeOverlay) return;
+        if (optimizeFormat && !optimizeFormat.options.length) {
+            for (const [value, f] of Object.entries(archiveUtil.OPTIMIZE_FORMATS)) {
+                optimizeFormat.appendChild(new Option(f.label, value));
+            }
+        }
+        optimizeFormat.value = archiveUtil.OPTIMIZE_FORMATS[getSetting('optimizeFormat', 'webp')] ? getSetting('optimizeFormat', 'webp') : 'webp';
+        loadOptimizeOptions();
+        const maxHeight = parseInt(getSetting('optimizeMaxHeight', '0'), 10) || 0;
+        optimizeMaxHeight.value = maxHeight > 0 ? String(maxHeight) : '';
+        optimizeStatus.textContent = `${imageNames.length} pages, ${formatBytes(getArchiveSize())}. Animated pages are kept as they are.`;
+        optimizeReport.innerHTML = '';
+        optimizeReport.classList.add('hide');
+        updateOptimizeActions();
+        optimizeOverlay.classList.remove('hide');
+    }
+
+    /** Quality slider for the selected format (each format remembers its own) */
+    function loadOptimizeOptions() {
+        const format = optimizeFormat.value;
+        const quality = parseInt(getSetting('optimizeQuality:' + format, ''), 10) || archiveUtil.OPTIMIZE_FORMATS[format].quality;
+        optimizeQuality.value = String(quality);
+        optimizeQualityValue.textContent = String(quality);
+    }
+
+    function closeOptimizer() {
+        if (optimizeRun) cancelOptimize();
+        discardOptimizeResult();
+        if (optimizeOverlay) optimizeOverlay.classList.add('hide');
+    }
+
+    function discardOptimizeResult() {
+        if (!optimizeResult) return;
+        try { require('fs').unlinkSync(optimizeResult.outPath); } catch (_) { }
+        optimizeResult = null;
+    }
+
+    function updateOptimizeActions() {
+        const running = !!optimizeRun;
+        optimizeRunBtn.textContent = running ? 'Cancel' : 'Optimize';
+        optimizeApplyBtn.classList.toggle('hide', !optimizeResult || running);
+        optimizeApplyBtn.disabled = !optimizeResult || optimizeResult.report.after >= optimizeResult.report.before;
+        for (const input of [optimizeFormat, optimizeQuality, optimizeMaxHeight]) input.disabled = running;
+    }
+
+    function getArchiveSize() {
+        try { return require('fs').statSync(filePath).size; } catch (_) { return 0; }
+    }
+
+    function formatBytes(bytes) {
+        if (bytes < 1024) return bytes + ' B';
+        if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+    }
+
+    function formatSaving(before, after) {
+        if (!before) return '';
+        const pct = Math.round((1 - after / before) * 100);
+        return pct > 0 ? '−' + pct + '%' : pct < 0 ? '+' + -pct + '%' : '0%';
+    }
+
+    async function runOptimize() {
+        if (optimizeRun) return;
+        discardOptimizeResult();
+        optimizeReport.classList.add('hide');
+        const format = optimizeFormat.value;
+        const run = { abortToken: { aborted: false } };
+        optimizeRun = run;
+        updateOptimizeActions();
+        const outPath = pathModule.join(eagle.os.tmpdir(), 'eagle-cbz-optimize-' + Date.now() + '.cbz');
+        try {
+            const report = await archiveUtil.optimizeCBZ(filePath, outPath, {
+                format,
+                quality: parseInt(optimizeQuality.value, 10),
+                maxHeight: parseInt(optimizeMaxHeight.value, 10) || 0,
+                abortToken: run.abortToken,
+                onProgress: (done, total) => {
+                    optimizeStatus.textContent = `Re-encoding page ${done} of ${total}…`;
+                },
+            });
+            report.archiveBefore = getArchiveSize();
+            try { report.archiveAfter = require('fs').statSync(outPath).size; } catch (_) { report.archiveAfter = 0; }
+            optimizeResult = { outPath, report };
+            renderOptimizeReport(report);
+        } catch (err) {
+            if (err.message === 'Aborted') {
+                optimizeStatus.textContent = 'Cancelled.';
+            } else {
+                console.error('Optimizing archive failed:', err);
+                optimizeStatus.textContent = 'Failed: ' + err.message;
+            }
+        } finally {
+            optimizeRun = null;
+            // Closed while running: the result is no longer wanted
+            if (optimizeOverlay.classList.contains('hide')) discardOptimizeResult();
+            updateOptimizeActions();
+        }
+    }
+
+    function cancelOptimize() {
+        if (optimizeRun) optimizeRun.abortToken.aborted = true;
+    }
+
+    function renderOptimizeReport(report) {
+        const encoded = report.pages.filter(p => !p.skipped);
+        const low = encoded.filter(p => p.ssim !== null && p.ssim < OPTIMIZE_LOW_SSIM).length;
+        const minSsim = encoded.reduce((min, p) => Math.min(min, p.ssim), 1);
+        optimizeStatus.textContent = report.after < report.before
+            ? `Archive: ${formatBytes(report.archiveBefore)} → ${formatBytes(report.archiveAfter)} ` +
+            `(${formatSaving(report.archiveBefore, report.archiveAfter)}). ` +
+            (encoded.length ? `Lowest SSIM ${minSsim.toFixed(3)}` + (low ? `, ${low} page${low === 1 ? '' : 's'} below ${OPTIMIZE_LOW_SSIM}.` : '.') : '')
+            : 'No page got smaller with these settings; the archive is left as it is.';
+        const failed = report.pages.filter(p => p.skipped === 'failed').length;
+        if (failed) optimizeStatus.textContent += ` Unreadable pages kept unchanged: ${failed}.`;
+
+        optimizeReport.innerHTML = '';
+        const head = optimizeReport.createTHead().insertRow();
+        for (const label of ['Page', 'Before', 'After', 'Saved', 'SSIM']) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            head.appendChild(th);
+        }
+        const body = optimizeReport.createTBody();
+        const SKIP_LABELS = { animated: 'animated, kept', larger: 'kept (no gain)', failed: 'unreadable, kept' };
+        for (const page of report.pages) {
+            const row = body.insertRow();
+            row.title = page.newName !== page.name ? page.name + ' → ' + page.newName : page.name;
+            if (page.skipped) row.className = 'muted';
+            const isLow = page.ssim !== null && page.ssim < OPTIMIZE_LOW_SSIM;
+            const cells = [
+                pathModule.basename(page.name),
+                formatBytes(page.before),
+                page.skipped ? '' : formatBytes(page.after),
+                page.skipped ? SKIP_LABELS[page.skipped] : formatSaving(page.before, page.after),
+                page.ssim === null ? '' : page.ssim.toFixed(3),
+            ];
+            cells.forEach((text, i) => {
+                const cell = row.insertCell();
+                cell.textContent = text;
+                if (i === 4 && isLow) cell.className = 'problem';
+            });
+        }
+        const foot = optimizeReport.createTFoot().insertRow();
+        for (const text of ['Total', formatBytes(report.before), formatBytes(report.after), formatSaving(report.before, report.after), '']) {
+            foot.insertCell().textContent = text;
+        }
+        optimizeReport.classList.remove('hide');
+    }
+
+    async function applyOptimize() {
+        if (!optimizeResult || optimizeRun) return;
+        const { outPath, report } = optimizeResult;
+        const result = await eagle.dialog.showMessageBox({
+            type: 'warning',
+            title: 'Optimize Archive',
+            message: `Replace the archive with the optimized copy? (${formatBytes(report.archiveBefore)} → ${formatBytes(report.archiveAfter)})\n\nThis cannot be undone.`,
+            buttons: ['Cancel', 'Replace'],
+        });
+        if (result.response !== 1 || !optimizeResult) return;
+        try {
+            archiveUtil.replaceArchive(outPath, filePath);
+            optimizeResult = null;
+            renameEntryState(new Map(report.pages.filter(p => p.newName !== p.name).map(p => [p.name, p.newName])));
+            closeOptimizer();
+            await reloadPages(currentIndex);
+            eagle.notification.show({
+                duration: 3000,
+                title: 'Archive Optimized',
+                body: `${formatBytes(report.archiveBefore)} → ${formatBytes(report.archiveAfter)}`,
+            });
+        } catch (err) {
+            console.error('Replacing archive failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Optimize Failed', body: err.message });
+        }
+    }
+
+    /** Carry per-page state keyed by entry name (rotation, crop override, bookmarks) over renamed entries */
+    function renameEntryState(renames) {
+        if (renames.size === 0) return;
+        // Read everything before writing: a page may take the name another page is leaving
+        const moved = [...renames].map(([from, to]) => [to, pageTransforms[from], cropOverrides[from]]);
+        for (const from of renames.keys()) {
+            delete pageTransforms[from];
+            delete cropOverrides[from];
+        }
+        for (const [to, transform, crop] of moved) {
+            if (transform) pageTransforms[to] = transform;
+            if (crop) cropOverrides[to] = crop;
+        }
+        savePageTransforms();
+        try {
+            if (Object.keys(cropOverrides).length) localStorage.setItem(getCropKey(), JSON.stringify(cropOverrides));
+        } catch (_) { }
+        for (const b of bookmarks) if (renames.has(b.entry)) b.entry = renames.get(b.entry);
+        saveBookmarks();
+    }
+
+    // ── Error screens ───────────────────────────────────────────────────
+    // Shown instead of the reading track when the archive can't be opened at all;
+    // kinds come from archiveUtil.getErrorKind plus 'empty' (opened, but no pages).
+    const ERROR_SCREENS = {
+        missing: {
+            title: 'File not found',
+            message: 'The archive is not where Eagle expects it. It may have been moved, renamed or deleted.',
+        },
+        unsupported: {
+            title: 'Unsupported format',
+            message: 'This file is not a CBZ, CBR, CB7 or CBT archive the reader can open.',
+        },
+        encrypted: {
+            title: 'Password-protected archive',
+            message: 'This archive is encrypted and cannot be read without its password. Retry to enter it.',
+        },
+        corrupt: {
+            title: 'Damaged archive',
+            message: 'The archive could not be read. It may be incomplete (an interrupted download) or damaged.',
+        },
+        empty: {
+            title: 'No pages',
+            message: 'The archive opened, but it contains no images.',
+        },
+    };
+
+    /** Kind of the error screen on display, or null */
+    let errorKind = null;
+
+    function showErrorScreen(kind, detail) {
+        const screen = ERROR_SCREENS[kind] || ERROR_SCREENS.corrupt;
+        if (!errorScreen) return;
+        errorKind = kind;
+        errorTitle.textContent = screen.title;
+        errorMessage.textContent = screen.message;
+        errorDetail.textContent = detail || '';
+        const fileExists = isFileOnDisk();
+        // Verifying only helps when there is a readable file to look into
+        errorVerify.classList.toggle('hide', !fileExists || (kind !== 'corrupt' && kind !== 'empty'));
+        errorOpenFolder.disabled = !findExistingFolder();
+        errorScreen.classList.remove('hide');
+    }
+
+    function isFileOnDisk() {
+        try { return !!urlParams.get('path') && require('fs').statSync(filePath).isFile(); } catch (_) { return false; }
+    }
+
+    /** The archive's folder, or its nearest ancestor that still exists (null without a path) */
+    function findExistingFolder() {
+        if (!urlParams.get('path')) return null;
+        const fs = require('fs');
+        let dir = pathModule.dirname(filePath);
+        while (dir) {
+            try { if (fs.statSync(dir).isDirectory()) return dir; } catch (_) { }
+            const parent = pathModule.dirname(dir);
+            if (parent === dir) break;
+            dir = parent;
+        }
+        return null;
+    }
+
+    function openContainingFolder() {
+        if (isFileOnDisk()) {
+            eagle.shell.showItemInFolder(filePath);
+            return;
+        }
+        const dir = findExistingFolder();
+        if (dir) eagle.shell.openPath(dir);
+    }
+
+    /** Open again; a file Eagle has since moved is picked up from the item's current path */
+    async function retryOpen() {
+        if (errorKind === 'encrypted') {
+            errorScreen.classList.add('hide');
+            promptPassword(false);
+            return;
+        }
+        if (fileId && eagle.item && eagle.item.getById) {
+            try {
+                const item = await eagle.item.getById(fileId);
+                const current = item && item.filePath ? pathModule.normalize(item.filePath) : '';
+                if (current && current !== filePath) {
+                    reopenArchive(fileId, current);
+                    return;
+                }
+            } catch (err) {
+                console.error('Looking up the Eagle item failed:', err);
+            }
+        }
+        sessionReplaced = true; // nothing was loaded, so there is no position to save
+        location.reload();
+    }
+
+    // ── Passwords ───────────────────────────────────────────────────────
+    // Encrypted archives are opened with archiveUtil.setPassword. A password is saved (in plain
+    // text, like the rest of the viewer's local storage) under ':password:' only when
+    // "Remember" is ticked and it actually opened the archive; the context menu clears them.
+    /** true once the archive opened with a password */
+    let archiveEncrypted = false;
+    /** Password that was typed and should be saved if it works */
+    let passwordToRemember = null;
+    /** The password in use came from storage (so a failure means the saved one is stale) */
+    let usingSavedPassword = false;
+
+    function getPasswordKey() {
+        return STORAGE_PREFIX + ':password:' + getFileKey();
+    }
+
+    function getSavedPassword() {
+        try { return localStorage.getItem(getPasswordKey()); } catch (_) { return null; }
+    }
+
+    function getSavedPasswordKeys() {
+        const prefix = STORAGE_PREFIX + ':password:';
+        const keys = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && key.startsWith(prefix)) keys.push(key);
+            }
+        } catch (_) { }
+        return keys;
+    }
+
+    /** @param {boolean} wrong - the last password was rejected */
+    function promptPassword(wrong) {
+        if (!passwordOverlay) {
+            showErrorScreen('encrypted');
+            return;
+        }
+        passwordMessage.textContent = `"${pathModule.basename(filePath)}" is password-protected.`;
+        passwordError.textContent = !wrong ? '' : usingSavedPassword ? 'The saved password no longer works.' : 'Wrong password, try again.';
+        passwordRemember.checked = getSetting('rememberPasswords', 'true') === 'true';
+        passwordInput.value = '';
+        passwordOverlay.classList.remove('hide');
+        passwordInput.focus();
+    }
+
+    function submitPassword() {
+        const password = passwordInput.value;
+        if (!password) return;
+        setSetting('rememberPasswords', passwordRemember.checked ? 'true' : 'false');
+        passwordToRemember = passwordRemember.checked ? password : null;
+        usingSavedPassword = false;
+        passwordOverlay.classList.add('hide');
+        passwordError.textContent = '';
+        archiveUtil.setPassword(filePath, password);
+        openArchive();
+    }
+
+    function cancelPassword() {
+        passwordOverlay.classList.add('hide');
+        showErrorScreen('encrypted');
+    }
+
+    /** Called once the archive opened */
+    function onArchiveOpened(encrypted) {
+        archiveEncrypted = encrypted;
+        if (!encrypted) return;
+        if (passwordToRemember) {
+            try { localStorage.setItem(getPasswordKey(), passwordToRemember); } catch (_) { }
+        }
+        passwordToRemember = null;
+    }
+
+    function forgetPasswords(all) {
+        const keys = all ? getSavedPasswordKeys() : [getPasswordKey()];
+        for (const key of keys) {
+            try { localStorage.removeItem(key); } catch (_) { }
+        }
+        eagle.notification.show({
+            duration: 3000,
+            title: 'Passwords',
+            body: all ? `${keys.length} saved password${keys.length === 1 ? '' : 's'} forgotten` : 'Saved password forgotten',
+        });
+    }
+
+    function getPasswordMenu() {
+        const items = [];
+        if (getSavedPassword() !== null) {
+            items.push({ id: 'password-forget', label: 'Forget Password for This Archive', click: () => forgetPasswords(false) });
+        }
+        if (getSavedPasswordKeys().length > 0) {
+            items.push({ id: 'password-forget-all', label: 'Forget All Saved Passwords', click: () => forgetPasswords(true) });
+        }
+        return items.length ? { id: 'password', label: 'Saved Passwords', submenu: items } : null;
+    }
+
+    // ── Verify archive ──────────────────────────────────────────────────
+    // archiveUtil.verifyArchive reads every entry (CRC, full decode, duplicates, junk) and the
+    // overlay lists whatever it flagged. A CBZ can then be rebuilt from its salvageable entries.
+    /** { abortToken } while verifyArchive runs, else null */
+    let verifyRun = null;
+    /** Last finished report, for the Repair button */
+    let verifyResult = null;
+
+    function openVerifier() {
+        if (!verifyOverlay) return;
+        verifyOverlay.classList.remove('hide');
+        runVerify();
+    }
+
+    function closeVerifier() {
+        if (verifyRun) verifyRun.abortToken.aborted = true;
+        if (verifyOverlay) verifyOverlay.classList.add('hide');
+    }
+
+    function updateVerifyActions() {
+        verifyRunBtn.textContent = verifyRun ? 'Cancel' : 'Verify';
+        verifyRepairBtn.classList.toggle('hide', !verifyResult || !verifyResult.repairable || !!verifyRun);
+    }
+
+    async function runVerify() {
+        if (verifyRun) return;
+        const run = { abortToken: { aborted: false } };
+        verifyRun = run;
+        verifyResult = null;
+        verifyReport.classList.add('hide');
+        verifyStatus.textContent = 'Checking…';
+        updateVerifyActions();
+        try {
+            const report = await archiveUtil.verifyArchive(filePath, {
+                abortToken: run.abortToken,
+                onProgress: (done, total) => {
+                    verifyStatus.textContent = total ? `Checking entry ${done} of ${total}…` : `Checking entry ${done}…`;
+                },
+            });
+            verifyResult = report;
+            renderVerifyReport(report);
+        } catch (err) {
+            if (err.message === 'Aborted') {
+                verifyStatus.textContent = 'Cancelled.';
+            } else {
+                console.error('Verifying archive failed:', err);
+                verifyStatus.textContent = "The archive can't be read: " + err.message;
+            }
+        } finally {
+            verifyRun = null;
+            updateVerifyActions();
+        }
+    }
+
+    function renderVerifyReport(report) {
+        const flagged = report.entries.filter(e => e.problems.length > 0);
+        const lines = [`${report.entries.length} entries, ${report.pages} pages.`];
+        if (report.salvaged) lines.push("The archive's table of contents is missing (incomplete download?); entries were recovered from the data.");
+        if (!report.decoded) lines.push('Pages were not decoded (image library unavailable).');
+        if (report.damaged) lines.push(`${report.damaged} damaged ${report.damaged === 1 ? 'entry' : 'entries'}.`);
+        if (flagged.length === 0) lines.push('No problems found.');
+        else if (report.repairable) lines.push('Repair rebuilds the archive from the entries that can be saved.');
+        else if (report.damaged) lines.push('Only CBZ archives can be repaired.');
+        verifyStatus.textContent = lines.join(' ');
+
+        verifyReport.innerHTML = '';
+        if (flagged.length === 0) return;
+        const head = verifyReport.createTHead().insertRow();
+        for (const label of ['Entry', 'Size', 'Problem']) {
+            const th = document.createElement('th');
+            th.textContent = label;
+            head.appendChild(th);
+        }
+        const body = verifyReport.createTBody();
+        for (const entry of flagged) {
+            const row = body.insertRow();
+            row.title = entry.detail ? entry.name + '\n' + entry.detail : entry.name;
+            const problems = entry.problems.map(p => (p === 'duplicate' && entry.duplicateOf
+                ? 'Same as ' + pathModule.basename(entry.duplicateOf)
+                : archiveUtil.VERIFY_PROBLEMS[p]));
+            for (const text of [entry.name, formatBytes(entry.size), problems.join(', ')]) {
+                row.insertCell().textContent = text;
+            }
+            // Duplicates and junk are only worth knowing about; the rest is damage
+            row.cells[2].className = entry.problems.some(p => p !== 'duplicate' && p !== 'junk') ? 'problem' : 'muted';
+        }
+        verifyReport.classList.remove('hide');
+    }
+
+    async function repairArchive() {
+        if (!verifyResult || !verifyResult.repairable || verifyRun) return;
+        const result = await eagle.dialog.showMessageBox({
+            type: 'warning',
+            title: 'Repair Archive',
+            message: `Rebuild the archive from its readable entries?${verifyResult.damaged ? ` ${verifyResult.damaged} damaged ${verifyResult.damaged === 1 ? 'entry is' : 'entries are'} left out.` : ''}\n\nThis cannot be undone.`,
+            checkboxLabel: 'Also remove duplicate pages and junk files',
+            checkboxChecked: getSetting('repairDropExtras', 'true') === 'true',
+            buttons: ['Cancel', 'Repair'],
+        });
+        if (result.response !== 1) return;
+        setSetting('repairDropExtras', result.checkboxChecked ? 'true' : 'false');
+
+        const run = { abortToken: { aborted: false } };
+        verifyRun = run;
+        updateVerifyActions();
+        verifyRepairBtn.classList.add('hide');
+        try {
+            const { kept, dropped } = await archiveUtil.repairCBZ(filePath, {
+                dropDuplicates: result.checkboxChecked,
+                dropJunk: result.checkboxChecked,
+                abortToken: run.abortToken,
+                onProgress: done => { verifyStatus.textContent = `Rebuilding: entry ${done}…`; },
+            });
+            verifyRun = null;
+            eagle.notification.show({
+                duration: 3000,
+                title: 'Archive Repaired',
+                body: `${kept} entries kept, ${dropped.length} removed`,
+            });
+            // An archive that could not be opened before starts over from scratch
+            if (imageNames.length === 0) {
+                location.reload();
+                return;
+            }
+            await reloadPages(currentIndex);
+            await runVerify();
+        } catch (err) {
+            if (err.message !== 'Aborted') {
+                console.error('Repairing archive failed:', err);
+                eagle.notification.show({ duration: 3000, title: 'Repair Failed', body: err.message });
+            }
+            verifyStatus.textContent = err.message === 'Aborted' ? 'Cancelled; the archive was not changed.' : 'Repair failed: ' + err.message;
+        } finally {
+            verifyRun = null;
+            updateVerifyActions();
+        }
+    }
+
+    // ── Keyboard shortcuts ──────────────────────────────────────────────
+    // Actions and default keys live in keymap.js; rebinding happens in the shortcuts overlay and
+    // only the changed actions are stored, in the 'keymap' setting. Buttons carrying
+    // data-shortcut="<action>" show the current keys in their tooltip.
+    let keyBindings = keymap.loadBindings(getSetting('keymap', null));
+    let keyIndex = keymap.buildKeyIndex(keyBindings);
+    /** Action waiting for its new key in the shortcuts overlay, or null */
+    let keyCapture = null;
+
+    /**
+     * Return false to let the browser handle the key after all. In continuous mode Page Up/Down,
+     * Space, Home and End keep scrolling the strip natively instead of jumping page by page.
+     */
+    const KEY_ACTIONS = {
+        nextPage: () => (continuous ? false : go(1)),
+        prevPage: () => (continuous ? false : go(-1)),
+        pageRight: () => go(mangaRtl && !continuous ? -1 : 1),
+        pageLeft: () => go(mangaRtl && !continuous ? 1 : -1),
+        firstPage: () => (continuous ? false : go(1 - currentIndex)),
+        lastPage: () => (continuous ? false : go(indexNum - currentIndex)),
+        goToPage: () => openGoTo(),
+        zoomIn: () => zoomIn(),
+        zoomOut: () => zoomOut(),
+        zoomReset: () => resetZoom(),
+        singlePage: () => setPagesPerView(1),
+        doublePage: () => setPagesPerView(2),
+        continuous: () => setContinuous(!continuous),
+        rtl: () => {
+            setMangaRtl(!mangaRtl);
+            setFileRtl(mangaRtl);
+        },
+        fitNext: () => cycleFitMode(1),
+        fitPrev: () => cycleFitMode(-1),
+        fullscreen: () => toggleFullscreen(),
+        filmstrip: () => setFilmstrip(!filmstripVisible),
+        grid: () => toggleGrid(),
+        info: () => toggleInfoPanel(),
+        adjust: () => toggleAdjustPanel(),
+        addBookmark: () => addBookmark(getCurrentCenterImageIndex()),
+        bookmarks: () => toggleBookmarks(),
+        shortcuts: () => openShortcuts(),
+        savePage: () => saveImage(getCurrentCenterImageIndex()),
+        // Leave Ctrl+C alone while text is selected (info panel)
+        copyPage: () => (String(window.getSelection()) ? false : copyImage(getCurrentCenterImageIndex())),
+        unpackPage: () => unpackImage(getCurrentCenterImageIndex()),
+    };
+
+    function runKeyAction(action) {
+        if (!imageNames.length && action !== 'shortcuts') return false;
+        const run = KEY_ACTIONS[action];
+        return run ? run() : false;
+    }
+
+    function toggleFullscreen() {
+        const request = document.fullscreenElement ? document.exitFullscreen() : document.documentElement.requestFullscreen();
+        if (request && request.catch) request.catch(err => console.error('Full screen failed:', err));
+    }
+
+    /** " (Page Down, Space)" for tooltips, '' when the action has no key */
+    function shortcutHint(action, suffix = '') {
+        const keys = keyBindings.get(action) || [];
+        return keys.length ? ` (${keys.map(keymap.formatCombo).join(', ')}${suffix})` : '';
+    }
+
+    function applyShortcutHints() {
+        document.querySelectorAll('[data-shortcut]').forEach(el => {
+            if (el.dataset.baseTitle === undefined) el.dataset.baseTitle = el.title;
+            el.title = el.dataset.baseTitle + shortcutHint(el.dataset.shortcut);
+        });
+        updateFitModeButton();
+    }
+
+    function saveShortcuts() {
+        setSetting('keymap', keymap.serializeBindings(keyBindings));
+        keyIndex = keymap.buildKeyIndex(keyBindings);
+        applyShortcutHints();
+        renderShortcuts();
+    }
+
+    function openShortcuts() {
+        if (!keysOverlay) return;
+        keyCapture = null;
+        keysStatus.textContent = 'Click + to add a key to an action, × to remove one.';
+        renderShortcuts();
+        keysOverlay.classList.remove('hide');
+    }
+
+    function closeShortcuts() {
+        keyCapture = null;
+        if (keysOverlay) keysOverlay.classList.add('hide');
+    }
+
+    function renderShortcuts() {
+        if (!keysTable) return;
+        keysTable.innerHTML = '';
+        const body = document.createElement('tbody');
+        let group = null;
+        for (const action of keymap.ACTIONS) {
+            if (action.group !== group) {
+                group = action.group;
+                const head = document.createElement('tr');
+                const th = document.createElement('th');
+                th.colSpan = 2;
+                th.textContent = group;
+                head.appendChild(th);
+                body.appendChild(head);
+            }
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = action.label;
+            const keysCell = document.createElement('td');
+            const keys = keyBindings.get(action.id) || [];
+            if (!keymap.isDefault(action.id, keys)) {
+                const reset = document.createElement('button');
+                reset.className = 'key-reset';
+                reset.textContent = 'Reset';
+                reset.title = 'Default: ' + (action.keys.map(keymap.formatCombo).join(', ') || 'none');
+                reset.addEventListener('click', () => resetShortcut(action.id));
+                keysCell.appendChild(reset);
+            }
+            for (const combo of keys) {
+                const chip = document.createElement('span');
+                chip.className = 'key-chip';
+                chip.textContent = keymap.formatCombo(combo);
+                const remove = document.createElement('button');
+                remove.textContent = '×';
+                remove.title = 'Remove this key';
+                remove.addEventListener('click', () => {
+                    keyBindings.set(action.id, keys.filter(k => k !== combo));
+                    saveShortcuts();
+                });
+                chip.appendChild(remove);
+                keysCell.appendChild(chip);
+            }
+            const add = document.createElement('button');
+            add.className = 'key-add';
+            const capturing = keyCapture === action.id;
+            add.classList.toggle('capturing', capturing);
+            add.textContent = capturing ? 'Press a key…' : '+';
+            add.title = 'Add a key';
+            add.addEventListener('click', () => {
+                keyCapture = capturing ? null : action.id;
+                keysStatus.textContent = keyCapture
+                    ? `Press the new key for "${action.label}" (Esc to cancel).`
+                    : 'Click + to add a key to an action, × to remove one.';
+                add.blur();
+                renderShortcuts();
+            });
+            keysCell.appendChild(add);
+            row.appendChild(label);
+            row.appendChild(keysCell);
+            body.appendChild(row);
+        }
+        keysTable.appendChild(body);
+    }
+
+    /** Key pressed while an action waits for one; a key used elsewhere is moved after confirmation */
+    async function captureKey(e) {
+        if (e.key === 'Escape') {
+            keyCapture = null;
+            keysStatus.textContent = 'Click + to add a key to an action, × to remove one.';
+            renderShortcuts();
+            return;
+        }
+        const combo = keymap.comboFromEvent(e);
+        if (!combo) return; // modifier on its own: keep waiting
+        if (keymap.isReserved(combo)) {
+            keysStatus.textContent = keymap.RESERVED_KEYS.join(', ') + " can't be bound. Press another key.";
+            return;
+        }
+        const actionId = keyCapture;
+        keyCapture = null;
+        const action = keymap.getAction(actionId);
+        const keys = keyBindings.get(actionId) || [];
+        if (keys.includes(combo)) {
+            keysStatus.textContent = `${keymap.formatCombo(combo)} is already bound to "${action.label}".`;
+            renderShortcuts();
+            return;
+        }
+        const otherId = keymap.findConflict(keyBindings, combo, actionId);
+        if (otherId) {
+            const other = keymap.getAction(otherId);
+            const result = await eagle.dialog.showMessageBox({
+                type: 'warning',
+                title: 'Key Already Used',
+                message: `${keymap.formatCombo(combo)} is already used for "${other.label}".\n\nUse it for "${action.label}" instead?`,
+                buttons: ['Cancel', 'Reassign'],
+            });
+            if (result.response !== 1) {
+                keysStatus.textContent = 'Click + to add a key to an action, × to remove one.';
+                renderShortcuts();
+                return;
+            }
+            keyBindings.set(otherId, keyBindings.get(otherId).filter(k => k !== combo));
+        }
+        keyBindings.set(actionId, [...keys, combo]);
+        keysStatus.textContent = `${keymap.formatCombo(combo)} → "${action.label}"` + (otherId ? ` (removed from "${keymap.getAction(otherId).label}")` : '');
+        saveShortcuts();
+    }
+
+    function resetShortcut(actionId) {
+        const action = keymap.getAction(actionId);
+        // Take the default keys back from whatever they were moved to
+        for (const [id, keys] of keyBindings) {
+            if (id !== actionId) keyBindings.set(id, keys.filter(k => !action.keys.includes(k)));
+        }
+        keyBindings.set(actionId, action.keys.slice());
+        saveShortcuts();
+    }
+
+    async function resetShortcuts() {
+        const result = await eagle.dialog.showMessageBox({
+            type: 'question',
+            title: 'Reset Keyboard Shortcuts',
+            message: 'Restore the default key for every action?',
+            buttons: ['Cancel', 'Reset All'],
+        });
+        if (result.response !== 1) return;
+        keyBindings = keymap.defaultBindings();
+        saveShortcuts();
+    }
+
+    applyShortcutHints();
+
+    // ── Next / previous issue ───────────────────────────────────────────
+    // Paging past the last (or first) view offers the next (previous) archive in the Eagle item's
+    // folder, ordered per 'issueOrder' (see series-nav.js). It opens in this viewer with the
+    // current view passed along in the 'view' URL parameter, on its first page (last when going back).
+    let issueOrder = getSetting('issueOrder', 'name');
+    /** Sorted sibling issues, looked up on first use */
+    let issuesPromise = null;
+    /** Issue offered by the prompt, and in which direction */
+    let promptedIssue = null;
+    let promptedDirection = 0;
+
+    /** How long one sibling's ComicInfo may take before it's sorted as having none */
+    const ISSUE_INFO_TIMEOUT = 5000;
+
+    function toIssueInfo(info) {
+        return { series: (info && info.Series) || '', number: seriesNav.parseIssueNumber(info && info.Number) };
+    }
+
+    /**
+     * Series and number of another archive, from its ComicInfo.xml alone (see archiveUtil.readComicInfo).
+     * Cached per Eagle item until the file changes; a read that times out isn't cached.
+     * @returns {Promise<{ series: string, number: number|null }|null>}
+     */
+    async function readIssueInfo(issue) {
+        const fs = require('fs');
+        const key = STORAGE_PREFIX + ':issue:' + issue.id;
+        let mtime;
+        try {
+            mtime = fs.statSync(issue.filePath).mtimeMs;
+        } catch (_) {
+            return null;
+        }
+        try {
+            const cached = JSON.parse(localStorage.getItem(key) || 'null');
+            if (cached && cached.mtime === mtime) return cached;
+        } catch (_) { }
+
+        let timer = null;
+        const timedOut = new Promise(resolve => { timer = setTimeout(() => resolve(undefined), ISSUE_INFO_TIMEOUT); });
+        const info = await Promise.race([archiveUtil.readComicInfo(issue.filePath).catch(() => null), timedOut]);
+        clearTimeout(timer);
+        if (info === undefined) return null;
+        const result = { mtime, ...toIssueInfo(info) };
+        try { localStorage.setItem(key, JSON.stringify(result)); } catch (_) { }
+        return result;
+    }
+
+    async function lookUpIssues() {
+        if (!fileId || !eagle.item || !eagle.item.get) return [];
+        const item = await eagle.item.getById(fileId);
+        const folderId = item && Array.isArray(item.folders) ? item.folders[0] : null;
+        if (!folderId) return [];
+        const items = await eagle.item.get({ folders: [folderId] });
+        const issues = items
+            .filter(i => i.id !== fileId && i.filePath && archiveUtil.isSupportedArchive(i.filePath))
+            .map(i => ({ id: i.id, name: i.name, filePath: i.filePath, series: '', number: null }));
+        issues.push({ id: fileId, name: item.name, filePath, series: '', number: null });
+        if (issueOrder === 'number') {
+            for (const issue of issues) {
+                const info = issue.id === fileId ? toIssueInfo(metadata) : await readIssueInfo(issue);
+                if (!info) continue;
+                issue.series = info.series;
+                issue.number = info.number;
+            }
+        }
+        return seriesNav.sortIssues(issues, issueOrder, fileId);
+    }
+
+    /** @param {number} direction - 1 next, -1 previous */
+    function getAdjacentIssue(direction) {
+        if (!issuesPromise) {
+            issuesPromise = lookUpIssues().catch(err => {
+                console.error('Issue lookup failed:', err);
+                return [];
+            });
+        }
+        return issuesPromise.then(issues => seriesNav.getAdjacentIssue(issues, fileId, direction));
+    }
+
+    async function offerAdjacentIssue(direction) {
+        if (!issuePrompt || (promptedIssue && promptedDirection === direction)) return;
+        const issue = await getAdjacentIssue(direction);
+        if (!issue) return;
+        promptedIssue = issue;
+        promptedDirection = direction;
+        issuePromptText.textContent = (direction > 0 ? 'End of issue. Next: ' : 'Start of issue. Previous: ') + issue.name;
+        issuePromptText.title = issue.name;
+        issuePromptOpen.textContent = direction > 0 ? 'Continue to next issue' : 'Back to previous issue';
+        issuePrompt.classList.remove('hide');
+    }
+
+    function hideIssuePrompt() {
+        promptedIssue = null;
+        promptedDirection = 0;
+        if (issuePrompt) issuePrompt.classList.add('hide');
+    }
+
+    function openPromptedIssue() {
+        if (promptedIssue) openIssue(promptedIssue, promptedDirection);
+    }
+
+    /** Open a sibling issue in this viewer; position and cleanup are handled by beforeunload */
+    function openIssue(issue, direction) {
+        hideIssuePrompt();
+        const view = { pagesPerView, continuous, fitMode, mangaRtl, page: direction < 0 ? 'last' : 'first' };
+        const params = new URLSearchParams(window.location.search);
+        params.set('id', issue.id);
+        params.set('path', issue.filePath);
+        params.set('view', JSON.stringify(view));
+        window.location.search = params.toString();
+    }
+
+    async function openAdjacentIssue(direction) {
+        const issue = await getAdjacentIssue(direction);
+        if (issue) openIssue(issue, direction);
+        else eagle.notification.show({ duration: 3000, title: direction > 0 ? 'No Next Issue' : 'No Previous Issue', body: 'Nothing further in this folder' });
+    }
+
+    function setIssueOrder(order) {
+        issueOrder = order;
+        setSetting('issueOrder', order);
+        issuesPromise = null;
+        hideIssuePrompt();
+    }
+
+    function getIssueMenu() {
+        const check = on => (on ? '✓ ' : '    ');
+        return {
+            id: 'issues',
+            label: 'Issues in Folder',
+            submenu: [
+                { id: 'issue-next', label: 'Next Issue', click: () => openAdjacentIssue(1) },
+                { id: 'issue-prev', label: 'Previous Issue', click: () => openAdjacentIssue(-1) },
+                ...seriesNav.ISSUE_ORDERS.map(o => ({
+                    id: 'issue-order-' + o.id,
+                    label: check(o.id === issueOrder) + 'Order: ' + o.label,
+                    click: () => setIssueOrder(o.id),
+                })),
+            ],
+        };
+    }
+
+    /** View handed over by openIssue, or null */
+    function getCarriedView() {
+        try {
+            const view = JSON.parse(urlParams.get('view') || 'null');
+            return view && typeof view === 'object' ? view : null;
+        } catch (_) {
+            return null;
+        }
+    }
+
+    /** Start where the previous issue left off: its layout, on the first or last page */
+    function applyCarriedView(view) {
+        if (view.pagesPerView === 1 || view.pagesPerView === 2) pagesPerView = view.pagesPerView;
+        if (typeof view.continuous === 'boolean') continuous = view.continuous;
+        syncViewMode();
+        updateIndexNum();
+        currentIndex = view.page === 'last' ? Math.max(1, indexNum) : 1;
+        // A reload (Retry, after a rewrite) should restore the saved position instead
+        const params = new URLSearchParams(window.location.search);
+        params.delete('view');
+        history.replaceState(null, '', '?' + params.toString());
+    }
+
+    // ── Page slider preview ─────────────────────────────────────────────
+    // Shares the overview's thumbnail cache. Only one render is in flight at a time and only
+    // the latest hovered position is rendered next, so scrubbing never queues up a backlog.
+    let sliderPreviewValue = 0;
+    let sliderPreviewBusy = false;
+
+    /** Slider value (1-based spread) under a viewport x coordinate */
+    function getSliderValueAt(clientX) {
+        const rect = pageSlider.getBoundingClientRect();
+        const thumb = 12; // matches ::-webkit-slider-thumb width
+        const ratio = Math.max(0, Math.min(1, (clientX - rect.left - thumb / 2) / Math.max(1, rect.width - thumb)));
+        const min = parseInt(pageSlider.min, 10) || 1;
+        const max = parseInt(pageSlider.max, 10) || 1;
+        return Math.round(min + ratio * (max - min));
+    }
+
+    function showSliderPreview(value) {
+        if (!sliderPreview || !imageNames.length) return;
+        const spread = getSpreadAt(value - 1);
+        if (!spread || !spread.length) return hideSliderPreview();
+        const indices = spread.map(p => p.index);
+        // Visual order matches the reading view
+        const ordered = mangaRtl && !continuous ? [...indices].reverse() : indices;
+
+        const min = parseInt(pageSlider.min, 10) || 1;
+        const max = parseInt(pageSlider.max, 10) || 1;
+        const seekerRect = pageSlider.parentElement.getBoundingClientRect();
+        const sliderRect = pageSlider.getBoundingClientRect();
+        const ratio = max > min ? (value - min) / (max - min) : 0;
+        sliderPreview.style.left = (sliderRect.left - seekerRect.left + 6 + ratio * (sliderRect.width - 12)) + 'px';
+
+        if (value !== sliderPreviewValue || sliderPreview.classList.contains('hide')) {
+            sliderPreviewValue = value;
+            sliderPreviewPages.innerHTML = '';
+            for (const idx of ordered) {
+                const img = document.createElement('img');
+                img.alt = '';
+                img.dataset.index = String(idx);
+                if (thumbUrls.has(idx)) img.src = thumbUrls.get(idx);
+                sliderPreviewPages.appendChild(img);
+            }
+            const pagesText = indices.map(i => i + 1).join('-');
+            let names = indices.map(i => (imageNames[i] || '').replace(/^.*[\\/]/, '')).join(' / ');
+            const chapterIndex = chapters.length > 1 ? getChapterIndex(indices[0]) : -1;
+            if (chapterIndex >= 0) names = chapters[chapterIndex].title + ' · ' + names;
+            sliderPreviewLabel.innerHTML = '';
+            const b = document.createElement('b');
+            b.textContent = (indices.length > 1 ? 'Pages ' : 'Page ') + pagesText;
+            sliderPreviewLabel.appendChild(b);
+            sliderPreviewLabel.appendChild(document.createElement('br'));
+            sliderPreviewLabel.appendChild(document.createTextNode(names));
+            sliderPreviewLabel.title = names;
+        }
+        sliderPreview.classList.remove('hide');
+        renderSliderPreview();
+    }
+
+    async function renderSliderPreview() {
+        if (sliderPreviewBusy) return;
+        const value = sliderPreviewValue;
+        const spread = getSpreadAt(value - 1) || [];
+        const indices = spread.map(p => p.index).filter(i => !thumbUrls.has(i));
+        if (indices.length === 0) return;
+        sliderPreviewBusy = true;
+        try {
+            await loadThumbUrls(indices);
+        } catch (err) {
+            console.error('Slider preview failed:', err);
+        } finally {
+            sliderPreviewBusy = false;
+        }
+        sliderPreviewPages.querySelectorAll('img').forEach(img => {
+            const url = thumbUrls.get(parseInt(img.dataset.index, 10));
+            if (url && !img.src) img.src = url;
+        });
+        // The pointer moved on while rendering: catch up with the latest position only
+        if (sliderPreviewValue !== value && !sliderPreview.classList.contains('hide')) renderSliderPreview();
+    }
+
+    function hideSliderPreview() {
+        if (sliderPreview) sliderPreview.classList.add('hide');
+    }
+
+    // ── Per-image context menu ──────────────────────────────────────────
+    const isCBZ = pathModule.extname(filePath).toLowerCase() === '.cbz';
+    const isCBR = pathModule.extname(filePath).toLowerCase() === '.cbr';
+
+    function getImageIndexFromEvent(e) {
+        let el = e.target;
+        while (el && el !== contentEl) {
+            if (el.classList && el.classList.contains('r-flex') && el.dataset.index !== undefined) {
+                return parseInt(el.dataset.index, 10);
             }
             el = el.parentElement;
         }
@@ -1968,6 +4886,7 @@
     }
 
     async function removeFromArchive(idx) {
+        if (isCBR) return removeFromCBR(idx);
         if (!isCBZ) return;
         const entryName = imageNames[idx];
         if (!entryName) return;
@@ -1981,32 +4900,177 @@
             if (result.response !== 1) return;
 
             await archiveUtil.removeEntryCBZ(filePath, entryName);
+            if (!await reloadPages(currentIndex)) return;
 
-            // Reload viewer with updated archive
-            const savedIndex = currentIndex;
-            imageNames = await archiveUtil.listImages(filePath);
-            if (imageNames.length === 0) {
-                readingTrack.innerHTML = '<div style="padding:20px;text-align:center;color:var(--color-text-secondary)">Archive is empty</div>';
+            eagle.notification.show({ duration: 3000, title: 'Image Removed', body: getPageLabel(Math.min(idx, imageNames.length - 1)) });
+        } catch (err) {
+            console.error('Remove failed:', err);
+            eagle.notification.show({ duration: 3000, title: 'Remove Failed', body: err.message });
+        }
+    }
+
+    /**
+     * Rebuild the reading track after the archive was rewritten in place.
+     * @returns {Promise<boolean>} false when no pages are left
+     */
+    async function reloadPages(savedIndex) {
+        imageNames = await archiveUtil.listImages(filePath);
+        await loadChapters();
+        // Everything below is keyed by page index, which just shifted; bookmarks re-anchor by entry name
+        loadBookmarks();
+        saveBookmarks();
+        if (bookmarksOverlay && !bookmarksOverlay.classList.contains('hide')) renderBookmarks();
+        imagesData = {};
+        cropBoxes.clear();
+        thumbUrls.clear();
+        for (const container of [filmstripEl, pageGrid]) if (container) container.innerHTML = '';
+        if (imageNames.length === 0) {
+            readingTrack.innerHTML = '<div style="padding:20px;text-align:center;color:var(--color-text-secondary)">Archive is empty</div>';
+            return false;
+        }
+        updateIndexNum();
+        readingTrack.innerHTML = '';
+        addHtmlImages();
+        currentIndex = Math.min(savedIndex, indexNum);
+        disposeImages();
+        calculateView(true);
+        goToIndex(currentIndex, false);
+        if (filmstripVisible) buildPageTiles(filmstripEl);
+        updatePageInfo();
+        updateNav();
+        preloadImagesAroundCurrent();
+        return true;
+    }
+
+    /**
+     * RAR can't be rewritten, so removing a page from a CBR converts the whole archive to CBZ
+     * (same entry names, order and ComicInfo.xml) without that page. The new CBZ either replaces
+     * the Eagle item (metadata copied over, CBR trashed) or is added next to it, per the
+     * 'cbrKeepOriginal' setting offered in the confirmation. The viewer then reopens on the CBZ.
+     */
+    async function removeFromCBR(idx) {
+        const entryName = imageNames[idx];
+        if (!entryName) return;
+        const fs = require('fs');
+        const baseName = pathModule.basename(filePath, pathModule.extname(filePath));
+        let tmpDir = null;
+        try {
+            const result = await eagle.dialog.showMessageBox({
+                type: 'warning',
+                title: 'Remove from Archive',
+                message: `Remove "${getPageLabel(idx)}" from archive?\n\n` +
+                    'CBR (RAR) archives can\'t be edited, so the archive will be converted to CBZ first. ' +
+                    'Page names, order and ComicInfo.xml are kept.\n\n' +
+                    (fileId
+                        ? 'The Eagle item is switched to the new CBZ and the CBR is moved to the trash, unless you keep the original.'
+                        : 'The CBZ is saved next to the CBR.'),
+                buttons: ['Cancel', 'Convert and Remove'],
+                checkboxLabel: fileId ? 'Keep the original CBR in Eagle' : undefined,
+                checkboxChecked: getSetting('cbrKeepOriginal', 'false') === 'true',
+            });
+            if (result.response !== 1) return;
+            const keepOriginal = !!result.checkboxChecked;
+            if (fileId) setSetting('cbrKeepOriginal', keepOriginal);
+
+            eagle.notification.show({ duration: 3000, title: 'Converting to CBZ', body: pathModule.basename(filePath) });
+
+            let outPath;
+            if (fileId) {
+                tmpDir = pathModule.join(eagle.os.tmpdir(), 'eagle-cbr-convert-' + Date.now());
+                fs.mkdirSync(tmpDir, { recursive: true });
+                outPath = pathModule.join(tmpDir, baseName + '.cbz');
+            } else {
+                outPath = pathModule.join(pathModule.dirname(filePath), baseName + '.cbz');
+                if (fs.existsSync(outPath)) throw new Error(pathModule.basename(outPath) + ' already exists');
+            }
+            await archiveUtil.convertCBRtoCBZ(filePath, outPath, { skip: [entryName] });
+
+            // The CBZ takes over this archive's state; its saved page skips the removed one so the
+            // reader stays on the same page
+            savePositionImmediate();
+            const center = getCurrentCenterImageIndex();
+            const carryState = (toKey, move) => {
+                copyArchiveState(getFileKey(), toKey, move);
+                try {
+                    const posKey = STORAGE_PREFIX + ':pos:' + toKey;
+                    const data = JSON.parse(localStorage.getItem(posKey) || 'null');
+                    if (data) {
+                        data.page = center - (center > idx ? 1 : 0);
+                        localStorage.setItem(posKey, JSON.stringify(data));
+                    }
+                } catch (_) { }
+            };
+
+            if (!fileId) {
+                carryState(outPath.replace(/\\/g, '/'), false);
+                reopenArchive(null, outPath);
                 return;
             }
-            updateIndexNum();
-            readingTrack.innerHTML = '';
-            addHtmlImages();
-            currentIndex = Math.min(savedIndex, indexNum);
-            disposeImages();
-            calculateView(true);
-            goToIndex(currentIndex, false);
-            updatePageInfo();
-            updateNav();
-            preloadImagesAroundCurrent();
 
-            eagle.notification.show({ duration: 3000, title: 'Image Removed', body: getPageLabel(Math.min(idx, imageNames.length - 1)) });
+            const item = await eagle.item.getById(fileId);
+            const opts = { name: item.name };
+            if (item.tags && item.tags.length) opts.tags = item.tags;
+            if (item.folders && item.folders.length) opts.folders = item.folders;
+            if (item.annotation) opts.annotation = item.annotation;
+            if (item.url) opts.website = item.url;
+            const newId = await eagle.item.addFromPath(outPath, opts);
+            const newItem = await eagle.item.getById(newId);
+            if (item.star) {
+                newItem.star = item.star;
+                await newItem.save();
+            }
+            carryState(newId, !keepOriginal);
+
+            if (!keepOriginal) {
+                // Same web API call the CBZ packer uses to trash its source images
+                await fetch('http://127.0.0.1:41595/api/item/moveToTrash', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ itemIds: [fileId] })
+                });
+            }
+
+            eagle.notification.show({ duration: 3000, title: 'Converted to CBZ', body: `${baseName}.cbz – ${getPageLabel(idx)} removed` });
+            reopenArchive(newId, newItem.filePath);
         } catch (err) {
             console.error('Remove failed:', err);
             eagle.notification.show({ duration: 3000, title: 'Remove Failed', body: err.message });
+        } finally {
+            if (tmpDir) {
+                try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch (_) { }
+            }
         }
     }
 
+    /** Copy (or move) every per-archive localStorage entry (position, bookmarks, view options…) to another key */
+    function copyArchiveState(fromKey, toKey, move) {
+        const suffix = ':' + fromKey;
+        try {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const k = localStorage.key(i);
+                if (!k || !k.startsWith(STORAGE_PREFIX + ':') || !k.endsWith(suffix)) continue;
+                if (k.startsWith(STORAGE_PREFIX + ':setting:')) continue;
+                keys.push(k);
+            }
+            for (const k of keys) {
+                localStorage.setItem(k.slice(0, k.length - fromKey.length) + toKey, localStorage.getItem(k));
+                if (move) localStorage.removeItem(k);
+            }
+        } catch (_) { }
+    }
+
+    /** Reload the viewer on another archive (after a conversion swapped the file) */
+    function reopenArchive(id, newPath) {
+        sessionReplaced = true;
+        archiveUtil.cleanup(filePath);
+        const params = new URLSearchParams(window.location.search);
+        if (id) params.set('id', id);
+        else params.delete('id');
+        params.set('path', newPath);
+        window.location.search = params.toString();
+    }
+
     async function saveImage(idx) {
         try {
             const fp = await archiveUtil.getImagePath(filePath, idx);
@@ -2051,6 +5115,7 @@
     }
 
     function onImageContextMenu(e) {
+        if (isPanelEvent(e)) return;
         // Suppress menu after right-drag zoom gesture
         if (rightDragUsed) {
             rightDragUsed = false;
@@ -2066,35 +5131,98 @@
             { id: 'copy', label: 'Copy Image', click: () => copyImage(idx) },
             { id: 'unpack', label: 'Unpack Image to Eagle', click: () => unpackImage(idx) },
             { id: 'thumbnail', label: 'Set as Thumbnail', click: () => setAsThumbnail(idx) },
+            findBookmark(idx)
+                ? { id: 'bookmark', label: 'Remove Bookmark', click: () => removeBookmark(idx) }
+                : { id: 'bookmark', label: 'Add Bookmark', click: () => addBookmark(idx) },
+            { id: 'bookmarks', label: 'Bookmarks…', click: () => toggleBookmarks(true) },
+            getProgressMenu(),
         ];
-        if (isCBZ) {
+        if (fileId) menuItems.push(getIssueMenu());
+        if (sharp) menuItems.push(getTransformMenu(idx), getCropMenu(idx));
+        const canRewrite = canRewriteArchive();
+        if (isCBZ && canRewrite) {
             menuItems.push({ id: 'remove', label: 'Remove from Archive', click: () => removeFromArchive(idx) });
+            menuItems.push({ id: 'edit', label: 'Edit Pages…', click: () => openEditor() });
+            if (sharp) menuItems.push({ id: 'optimize', label: 'Optimize Archive…', click: () => openOptimizer() });
+        } else if (isCBR && canRewrite) {
+            menuItems.push({ id: 'remove', label: 'Remove from Archive (convert to CBZ)…', click: () => removeFromArchive(idx) });
         }
+        menuItems.push({ id: 'verify', label: 'Verify Archive…', click: () => openVerifier() });
+        menuItems.push({ id: 'shortcuts', label: 'Keyboard Shortcuts…', click: () => openShortcuts() });
+        const passwordMenu = getPasswordMenu();
+        if (passwordMenu) menuItems.push(passwordMenu);
         eagle.contextMenu.open(menuItems);
     }
 
     // Init
-    if (!filePath) {
+    if (!urlParams.get('path')) {
         console.error('No file path provided.');
+        showErrorScreen('missing', 'No file path was passed to the viewer.');
         return;
     }
 
-    archiveUtil.listImages(filePath).then(names => {
-        imageNames = names;
-        if (names.length === 0) {
-            console.error('No images found in archive.');
-            return;
-        }
+    const savedPassword = getSavedPassword();
+    if (savedPassword) {
+        archiveUtil.setPassword(filePath, savedPassword);
+        usingSavedPassword = true;
+    }
+    openArchive();
+
+    /** List the archive and set up the reader; runs again after a password is entered */
+    function openArchive() {
+        archiveUtil.listImages(filePath).then(async names => {
+            imageNames = names;
+            onArchiveOpened(await archiveUtil.isEncrypted(filePath));
+            if (names.length === 0) {
+                console.error('No images found in archive.');
+                showErrorScreen('empty', pathModule.basename(filePath));
+                return;
+            }
 
-        setScrollGap(scrollGap);
-        setMangaRtl(mangaRtl);
-        setScrollNavEnabled(scrollNavEnabled);
-        setPageTransitionSpeed(pageTransitionMs);
-        restorePosition();
-        applyView();
-        updatePageInfo();
-        updateNav();
-    }).catch(err => {
-        console.error('Failed to load archive:', err);
-    });
+            metadata = await archiveUtil.getMetadata(filePath).catch(() => null);
+            await loadChapters();
+
+            // Reading direction: carried over from the previous issue > explicit per-archive choice
+            // > ComicInfo manga flag > global setting
+            const carriedView = getCarriedView();
+            const fileRtl = getFileRtl();
+            if (carriedView && typeof carriedView.mangaRtl === 'boolean') setMangaRtl(carriedView.mangaRtl, false);
+            else if (fileRtl !== null) setMangaRtl(fileRtl, false);
+            else if (comicInfo.isRightToLeft(metadata)) setMangaRtl(true, false);
+            else setMangaRtl(mangaRtl);
+
+            try { setSpreadShift(localStorage.getItem(getShiftKey()) === 'true', false); } catch (_) { }
+            try { setFitMode(carriedView ? carriedView.fitMode : localStorage.getItem(getFitKey()), false); } catch (_) { }
+            loadCropOverrides();
+            loadPageTransforms();
+            loadArchiveAdjustments();
+            if (splitWideToggle) splitWideToggle.classList.toggle('active', splitWide);
+            loadBookmarks();
+            saveBookmarks();
+            setScrollGap(scrollGap);
+            setScrollNavEnabled(scrollNavEnabled);
+            setPageTransitionSpeed(pageTransitionMs);
+            restorePosition();
+            if (carriedView) applyCarriedView(carriedView);
+            applyView();
+            if (filmstripVisible) setFilmstrip(true);
+            updatePageInfo();
+            updateNav();
+            savePosition();
+        }).catch(err => {
+            console.error('Failed to load archive:', err);
+            // Only when opening failed; a later error leaves the pages that did load on screen
+            if (imageNames.length > 0) return;
+            const kind = archiveUtil.getErrorKind(err);
+            if (kind === 'encrypted') {
+                const wrong = err.code === 'ARCHIVE_BAD_PASSWORD';
+                if (wrong && usingSavedPassword) {
+                    try { localStorage.removeItem(getPasswordKey()); } catch (_) { }
+                }
+                promptPassword(wrong);
+            } else {
+                showErrorScreen(kind, err && err.message);
+            }
+        });
+    }
 })();
\ No newline at end of file